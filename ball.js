@@ -1,6 +1,7 @@
 /**
  * Tilt Runner - Ball Class
- * Clase que representa la bolita del jugador con físicas básicas
+ * Clase que representa la bolita del jugador con físicas básicas.
+ * No depende del DOM: el dibujado y los efectos los hace DOMRenderer
  */
 
 class Ball {
@@ -8,25 +9,43 @@ class Ball {
         // Posición inicial
         this.x = x;
         this.y = y;
+        this.prevX = x; // Posición en el tick anterior (para interpolar)
+        this.prevY = y;
         this.startX = x;
         this.startY = y;
         
         // Propiedades físicas
         this.radius = radius;
+        this.baseRadius = radius; // Radio normal (los potenciadores pueden encogerla)
         this.vx = 0; // Velocidad en X
         this.vy = 0; // Velocidad en Y
+        this.forceX = 0; // Última fuerza aplicada (para saber si está en reposo)
+        this.forceY = 0;
         
-        // Configuración de físicas
+        // Configuración de físicas. Los valores están expresados por fotograma
+        // de referencia (60 Hz) y se escalan según la duración real del tick
+        this.referenceRate = 60;
         this.friction = 0.95; // Fricción para desaceleración natural
         this.bounce = 0.7; // Factor de rebote al chocar
         this.maxSpeed = 8; // Velocidad máxima
         this.acceleration = 0.3; // Aceleración base
+        this.minImpactSpeed = 0.5; // Velocidad mínima para contar un golpe
+        this.contactSkin = 0.01; // Separación tras un contacto para no quedar pegada
+        this.maxCollisionIterations = 4; // Rebotes resueltos como máximo por tick
         
-        // Referencias DOM
-        this.element = document.getElementById('ball');
-        this.gameArea = document.getElementById('gameArea');
+        // Valores del suelo normal; las zonas de material los sustituyen mientras
+        // la bolita está dentro (ver setSurface)
+        this.baseSurface = {
+            friction: this.friction,
+            bounce: this.bounce,
+            maxSpeed: this.maxSpeed,
+            acceleration: this.acceleration
+        };
+        this.surface = null; // Suelo actual (null es el normal)
+        this.speedMultiplier = 1; // Multiplica maxSpeed (potenciador de velocidad)
         
-        // Límites del área de juego (se calculan dinámicamente)
+        // Tamaño del mundo y límites del área de juego (los fija setBounds)
+        this.worldSize = { width: 0, height: 0 };
         this.bounds = {
             left: 0,
             right: 0,
@@ -36,24 +55,20 @@ class Ball {
         
         // Estado
         this.isColliding = false;
-        
-        this.updateBounds();
-        this.updatePosition();
     }
     
     /**
-     * Actualiza los límites del área de juego basado en el tamaño actual
+     * Actualiza los límites del área de juego
+     * @param {number} width - Ancho del mundo
+     * @param {number} height - Alto del mundo
      */
-    updateBounds() {
-        const gameAreaRect = this.gameArea.getBoundingClientRect();
-        const containerRect = this.gameArea.querySelector('.border-neon-blue').getBoundingClientRect();
-        
-        // Calcular límites relativos al contenedor del juego
+    setBounds(width, height) {
+        this.worldSize = { width, height };
         this.bounds = {
             left: this.radius,
-            right: containerRect.width - this.radius,
+            right: width - this.radius,
             top: this.radius,
-            bottom: containerRect.height - this.radius
+            bottom: height - this.radius
         };
     }
     
@@ -61,95 +76,349 @@ class Ball {
      * Aplica fuerza a la bolita basada en la inclinación del dispositivo
      * @param {number} forceX - Fuerza horizontal (-1 a 1)
      * @param {number} forceY - Fuerza vertical (-1 a 1)
+     * @param {number} dt - Duración del tick en segundos
      */
-    applyForce(forceX, forceY) {
+    applyForce(forceX, forceY, dt = 1 / this.referenceRate) {
+        const frames = dt * this.referenceRate;
+        const previousSpeed = this.getSpeed();
+        
+        this.forceX = forceX;
+        this.forceY = forceY;
+        
         // Aplicar aceleración basada en la fuerza
-        this.vx += forceX * this.acceleration;
-        this.vy += forceY * this.acceleration;
-        
-        // Limitar velocidad máxima
-        const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-        if (speed > this.maxSpeed) {
-            this.vx = (this.vx / speed) * this.maxSpeed;
-            this.vy = (this.vy / speed) * this.maxSpeed;
+        this.vx += forceX * this.acceleration * frames;
+        this.vy += forceY * this.acceleration * frames;
+        
+        this.limitSpeed(previousSpeed);
+    }
+    
+    /**
+     * Aplica una aceleración externa que no depende del suelo (campos de
+     * fuerza). Cuenta como fuerza aplicada, así que un campo suave también
+     * mueve la bolita en reposo
+     * @param {number} ax - Aceleración horizontal en unidades por segundo²
+     * @param {number} ay - Aceleración vertical en unidades por segundo²
+     * @param {number} dt - Duración del tick en segundos
+     */
+    applyAcceleration(ax, ay, dt = 1 / this.referenceRate) {
+        const previousSpeed = this.getSpeed();
+        
+        // Las velocidades van en unidades por fotograma de referencia
+        this.vx += ax * dt / this.referenceRate;
+        this.vy += ay * dt / this.referenceRate;
+        
+        this.forceX += ax;
+        this.forceY += ay;
+        
+        this.limitSpeed(previousSpeed);
+    }
+    
+    /**
+     * @returns {number} - Módulo de la velocidad
+     */
+    getSpeed() {
+        return Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+    }
+    
+    /**
+     * Recorta la velocidad que ha dado una fuerza a la máxima del suelo
+     * actual. Una bolita que ya iba más rápido (lanzada por un rebotador)
+     * no se frena de golpe: la fuerza no la acelera más y la fricción la
+     * devuelve poco a poco por debajo del máximo
+     * @param {number} previousSpeed - Velocidad antes de aplicar la fuerza
+     */
+    limitSpeed(previousSpeed = 0) {
+        const limit = Math.max(this.maxSpeed, previousSpeed);
+        const speed = this.getSpeed();
+        if (speed > limit) {
+            this.vx = (this.vx / speed) * limit;
+            this.vy = (this.vy / speed) * limit;
         }
     }
     
     /**
      * Actualiza la posición de la bolita aplicando físicas
+     * @param {number} dt - Duración del tick en segundos
+     * @param {Array} obstacles - Obstáculos contra los que barrer el movimiento
+     * @returns {Array} - Contactos producidos durante el tick
      */
-    update() {
+    update(dt = 1 / this.referenceRate, obstacles = []) {
+        const frames = dt * this.referenceRate;
+        
+        // Guardar el estado anterior para la interpolación del dibujado
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         // Aplicar fricción
-        this.vx *= this.friction;
-        this.vy *= this.friction;
+        const friction = Math.pow(this.friction, frames);
+        this.vx *= friction;
+        this.vy *= friction;
         
-        // Actualizar posición
-        this.x += this.vx;
-        this.y += this.vy;
+        // Actualizar posición barriendo el recorrido contra los obstáculos
+        const contacts = this.moveAndCollide(this.vx * frames, this.vy * frames, obstacles);
         
         // Verificar colisiones con bordes
-        this.checkBoundaryCollisions();
+        const wallContact = this.checkBoundaryCollisions();
+        if (wallContact) {
+            contacts.push(wallContact);
+        }
         
-        // Actualizar posición visual
-        this.updatePosition();
+        // Verificar si la velocidad es muy baja para detener completamente;
+        // solo en ejes sin fuerza, o una inclinación suave nunca la movería
+        if (Math.abs(this.vx) < 0.1 && this.forceX === 0) this.vx = 0;
+        if (Math.abs(this.vy) < 0.1 && this.forceY === 0) this.vy = 0;
         
-        // Verificar si la velocidad es muy baja para detener completamente
-        if (Math.abs(this.vx) < 0.1) this.vx = 0;
-        if (Math.abs(this.vy) < 0.1) this.vy = 0;
+        return contacts;
+    }
+    
+    /**
+     * Mueve la bolita un desplazamiento dado resolviendo de forma continua los
+     * choques con obstáculos, de modo que no los atraviese aunque vaya rápido
+     * @param {number} dx - Desplazamiento en X
+     * @param {number} dy - Desplazamiento en Y
+     * @param {Array} obstacles - Obstáculos (ver getObstacleVertices)
+     * @returns {Array} - Contactos {obstacle, x, y, normalX, normalY, impactSpeed}
+     */
+    moveAndCollide(dx, dy, obstacles) {
+        const contacts = [];
+        
+        for (let i = 0; i < this.maxCollisionIterations; i++) {
+            // Buscar el primer obstáculo que toca la bolita en su recorrido
+            let hit = null;
+            obstacles.forEach(obstacle => {
+                const candidate = this.sweepObstacle(obstacle, dx, dy);
+                if (candidate && (!hit || candidate.time < hit.time)) {
+                    hit = candidate;
+                }
+            });
+            
+            if (!hit) {
+                this.x += dx;
+                this.y += dy;
+                break;
+            }
+            
+            // Avanzar hasta el punto de contacto, apenas separada de la superficie
+            this.x += dx * hit.time + hit.normalX * this.contactSkin;
+            this.y += dy * hit.time + hit.normalY * this.contactSkin;
+            
+            const contact = this.handleObstacleCollision(hit.obstacle, hit);
+            if (contact) {
+                contacts.push(contact);
+            }
+            
+            // El recorrido que queda también se refleja sobre la superficie
+            const remaining = 1 - hit.time;
+            const dot = (dx * hit.normalX + dy * hit.normalY) * remaining;
+            const bounce = this.getBounce(hit.obstacle);
+            dx = dx * remaining - (1 + bounce) * dot * hit.normalX;
+            dy = dy * remaining - (1 + bounce) * dot * hit.normalY;
+        }
+        
+        return contacts;
+    }
+    
+    /**
+     * Vértices del obstáculo en coordenadas del mundo, ordenados en el sentido
+     * de las agujas del reloj en pantalla (área con signo positivo con Y hacia
+     * abajo). Los obstáculos sin "vertices" son rectángulos sin rotar. Un
+     * obstáculo puede además tener "rounding": su contorno se engorda esa
+     * distancia, así que un muro es un segmento de dos vértices con rounding
+     * @param {Object} obstacle - Obstáculo con vertices, o con x, y, width, height
+     * @returns {Array} - Lista de puntos {x, y}
+     */
+    getObstacleVertices(obstacle) {
+        if (obstacle.vertices) return obstacle.vertices;
+        
+        return [
+            { x: obstacle.x, y: obstacle.y },
+            { x: obstacle.x + obstacle.width, y: obstacle.y },
+            { x: obstacle.x + obstacle.width, y: obstacle.y + obstacle.height },
+            { x: obstacle.x, y: obstacle.y + obstacle.height }
+        ];
+    }
+    
+    /**
+     * Barre el círculo de la bolita contra un obstáculo poligonal convexo.
+     * Equivale a lanzar un rayo desde el centro contra el polígono engordado
+     * por el radio (aristas desplazadas y vértices redondeados)
+     * @param {Object} obstacle - Obstáculo (ver getObstacleVertices)
+     * @param {number} dx - Desplazamiento en X
+     * @param {number} dy - Desplazamiento en Y
+     * @returns {Object|null} - {obstacle, time, normalX, normalY, x, y} o null
+     */
+    sweepObstacle(obstacle, dx, dy) {
+        if (dx === 0 && dy === 0) return null;
+        
+        const r = this.radius + (obstacle.rounding || 0);
+        const vertices = this.getObstacleVertices(obstacle);
+        let best = null;
+        
+        const consider = (time, normalX, normalY) => {
+            if (time < 0 || time > 1) return;
+            if (!best || time < best.time) {
+                best = { time, normalX, normalY };
+            }
+        };
+        
+        // Aristas: solo cuentan si la bolita se mueve hacia ellas
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            const edgeX = b.x - a.x;
+            const edgeY = b.y - a.y;
+            const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+            const normalX = edgeY / length;
+            const normalY = -edgeX / length;
+            
+            const approach = dx * normalX + dy * normalY;
+            if (approach >= 0) return;
+            
+            // Cruce con la arista desplazada r hacia fuera
+            const t = ((a.x + normalX * r - this.x) * normalX + (a.y + normalY * r - this.y) * normalY) / approach;
+            const along = ((this.x + dx * t - a.x) * edgeX + (this.y + dy * t - a.y) * edgeY) / length;
+            if (along >= 0 && along <= length) consider(t, normalX, normalY);
+        });
+        
+        // Vértices: intersección del rayo con un círculo de radio r
+        const a = dx * dx + dy * dy;
+        vertices.forEach(({ x: cx, y: cy }) => {
+            const ox = this.x - cx;
+            const oy = this.y - cy;
+            const b = ox * dx + oy * dy;
+            const c = ox * ox + oy * oy - r * r;
+            
+            // Ya solapada (lo resuelve resolveObstacleOverlap) o alejándose
+            if (c < 0 || b >= 0) return;
+            
+            const discriminant = b * b - a * c;
+            if (discriminant < 0) return;
+            
+            const t = (-b - Math.sqrt(discriminant)) / a;
+            consider(t, (ox + dx * t) / r, (oy + dy * t) / r);
+        });
+        
+        if (!best) return null;
+        
+        // Punto de contacto sobre la superficie del obstáculo
+        const centerX = this.x + dx * best.time;
+        const centerY = this.y + dy * best.time;
+        
+        return {
+            obstacle,
+            time: best.time,
+            normalX: best.normalX,
+            normalY: best.normalY,
+            x: centerX - best.normalX * this.radius,
+            y: centerY - best.normalY * this.radius
+        };
     }
     
     /**
      * Verifica y maneja colisiones con los bordes del área de juego
+     * @returns {Object|null} - Contacto con el borde si la bolita acaba de chocar
      */
     checkBoundaryCollisions() {
-        let collided = false;
+        let contact = null;
+        
+        const hitWall = (boundary, normalX, normalY, impactSpeed) => {
+            if (!contact || impactSpeed > contact.impactSpeed) {
+                contact = {
+                    boundary,
+                    x: this.x - normalX * this.radius,
+                    y: this.y - normalY * this.radius,
+                    normalX,
+                    normalY,
+                    impactSpeed
+                };
+            }
+        };
         
         // Colisión con borde izquierdo
         if (this.x < this.bounds.left) {
             this.x = this.bounds.left;
+            hitWall('left', 1, 0, Math.abs(this.vx));
             this.vx = -this.vx * this.bounce;
-            collided = true;
         }
         
         // Colisión con borde derecho
         if (this.x > this.bounds.right) {
             this.x = this.bounds.right;
+            hitWall('right', -1, 0, Math.abs(this.vx));
             this.vx = -this.vx * this.bounce;
-            collided = true;
         }
         
         // Colisión con borde superior
         if (this.y < this.bounds.top) {
             this.y = this.bounds.top;
+            hitWall('top', 0, 1, Math.abs(this.vy));
             this.vy = -this.vy * this.bounce;
-            collided = true;
         }
         
         // Colisión con borde inferior
         if (this.y > this.bounds.bottom) {
             this.y = this.bounds.bottom;
+            hitWall('bottom', 0, -1, Math.abs(this.vy));
             this.vy = -this.vy * this.bounce;
-            collided = true;
         }
         
-        // Si hubo colisión, activar efectos visuales y vibración
-        if (collided && !this.isColliding) {
-            this.onCollision();
-        }
+        // Solo se notifica el primer tick de cada choque
+        const isNewHit = contact && !this.isColliding;
+        this.isColliding = contact !== null;
         
-        this.isColliding = collided;
+        return isNewHit ? contact : null;
     }
     
     /**
-     * Verifica colisión con un obstáculo rectangular
-     * @param {Object} obstacle - Objeto con propiedades x, y, width, height
+     * Verifica colisión con un obstáculo
+     * @param {Object} obstacle - Obstáculo (ver getObstacleVertices)
      * @returns {boolean} - True si hay colisión
      */
     checkObstacleCollision(obstacle) {
-        const dx = this.x - Math.max(obstacle.x, Math.min(this.x, obstacle.x + obstacle.width));
-        const dy = this.y - Math.max(obstacle.y, Math.min(this.y, obstacle.y + obstacle.height));
+        const closest = this.findClosestPoint(obstacle);
+        return closest.inside || closest.distance < this.radius + (obstacle.rounding || 0);
+    }
+    
+    /**
+     * Busca el punto del contorno de un obstáculo más cercano al centro
+     * @param {Object} obstacle - Obstáculo (ver getObstacleVertices)
+     * @returns {Object} - {x, y, distance, inside}; si el centro está dentro,
+     *                     normalX/normalY y depth indican la arista de salida más cercana
+     */
+    findClosestPoint(obstacle) {
+        const vertices = this.getObstacleVertices(obstacle);
+        let closest = null;
+        let exit = null;
+        let inside = true;
+        
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            const edgeX = b.x - a.x;
+            const edgeY = b.y - a.y;
+            const lengthSquared = edgeX * edgeX + edgeY * edgeY;
+            const length = Math.sqrt(lengthSquared);
+            const normalX = edgeY / length;
+            const normalY = -edgeX / length;
+            
+            // Distancia con signo a la recta de la arista (negativa hacia dentro)
+            const side = (this.x - a.x) * normalX + (this.y - a.y) * normalY;
+            if (side > 0) inside = false;
+            if (!exit || -side < exit.depth) {
+                exit = { depth: -side, normalX, normalY };
+            }
+            
+            // Punto más cercano sobre el segmento
+            const t = Math.max(0, Math.min(1, ((this.x - a.x) * edgeX + (this.y - a.y) * edgeY) / lengthSquared));
+            const x = a.x + edgeX * t;
+            const y = a.y + edgeY * t;
+            const distance = Math.sqrt((this.x - x) * (this.x - x) + (this.y - y) * (this.y - y));
+            if (!closest || distance < closest.distance) {
+                closest = { x, y, distance };
+            }
+        });
         
-        return (dx * dx + dy * dy) < (this.radius * this.radius);
+        return inside ?
+            { ...closest, inside, normalX: exit.normalX, normalY: exit.normalY, depth: exit.depth } :
+            { ...closest, inside };
     }
     
     /**
@@ -166,74 +435,203 @@ class Ball {
     }
     
     /**
-     * Maneja la colisión con un obstáculo
-     * @param {Object} obstacle - Obstáculo con el que colisionó
+     * Verifica si la bolita cae en un agujero: basta con que el centro cruce el borde
+     * @param {Object} hole - Objeto con propiedades x, y, radius
+     * @returns {boolean} - True si el centro está dentro del agujero
      */
-    handleObstacleCollision(obstacle) {
-        // Calcular dirección de rebote
-        const centerX = obstacle.x + obstacle.width / 2;
-        const centerY = obstacle.y + obstacle.height / 2;
+    checkHoleCollision(hole) {
+        const dx = this.x - hole.x;
+        const dy = this.y - hole.y;
         
-        const dx = this.x - centerX;
-        const dy = this.y - centerY;
+        return dx * dx + dy * dy < hole.radius * hole.radius;
+    }
+    
+    /**
+     * Separa la bolita de un obstáculo con el que ya está solapada (por ejemplo
+     * porque el obstáculo se movió o giró encima de ella) empujándola por la
+     * normal del punto más cercano
+     * @param {Object} obstacle - Obstáculo (ver getObstacleVertices)
+     * @returns {Object|null} - Contacto producido o null si no había solape
+     */
+    resolveObstacleOverlap(obstacle) {
+        const closest = this.findClosestPoint(obstacle);
+        const reach = this.radius + (obstacle.rounding || 0);
+        let normalX;
+        let normalY;
+        let penetration;
         
-        // Normalizar dirección
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        if (distance > 0) {
-            const normalX = dx / distance;
-            const normalY = dy / distance;
+        if (closest.inside) {
+            // El centro quedó dentro del polígono: salir por la arista más cercana
+            normalX = closest.normalX;
+            normalY = closest.normalY;
+            penetration = closest.depth + reach;
+        } else {
+            if (closest.distance >= reach) return null;
             
-            // Aplicar rebote
-            this.vx = normalX * this.maxSpeed * 0.8;
-            this.vy = normalY * this.maxSpeed * 0.8;
-            
-            // Separar de la colisión
-            this.x = centerX + normalX * (this.radius + Math.max(obstacle.width, obstacle.height) / 2 + 5);
-            this.y = centerY + normalY * (this.radius + Math.max(obstacle.width, obstacle.height) / 2 + 5);
+            normalX = (this.x - closest.x) / closest.distance;
+            normalY = (this.y - closest.y) / closest.distance;
+            penetration = reach - closest.distance;
         }
         
-        this.onCollision();
+        this.x += normalX * (penetration + this.contactSkin);
+        this.y += normalY * (penetration + this.contactSkin);
+        
+        return this.handleObstacleCollision(obstacle, {
+            normalX,
+            normalY,
+            x: this.x - normalX * this.radius,
+            y: this.y - normalY * this.radius
+        });
     }
     
     /**
-     * Efectos visuales y hápticos cuando hay colisión
+     * Velocidad de la superficie de un obstáculo en un punto: traslación más
+     * giro alrededor de su pivote
+     * @param {Object} obstacle - Obstáculo con vx, vy (unidades por segundo),
+     *                            angularVelocity (radianes por segundo), pivotX, pivotY
+     * @param {number} x - X del punto
+     * @param {number} y - Y del punto
+     * @returns {Object} - {x, y} por fotograma de referencia, como vx/vy de la bolita
      */
-    onCollision() {
-        // Efecto visual de shake
-        this.element.classList.add('shake');
-        setTimeout(() => {
-            this.element.classList.remove('shake');
-        }, 500);
-        
-        // Vibración en móviles
-        if (navigator.vibrate) {
-            navigator.vibrate(100);
-        }
+    getSurfaceVelocity(obstacle, x, y) {
+        const spin = obstacle.angularVelocity || 0;
         
-        // Efecto de sonido (si se implementa más adelante)
-        // this.playCollisionSound();
+        return {
+            x: ((obstacle.vx || 0) - spin * (y - (obstacle.pivotY || 0))) / this.referenceRate,
+            y: ((obstacle.vy || 0) + spin * (x - (obstacle.pivotX || 0))) / this.referenceRate
+        };
     }
     
     /**
-     * Actualiza la posición visual del elemento DOM
+     * Maneja la colisión con un obstáculo reflejando la velocidad relativa a
+     * su superficie sobre la normal de contacto con el factor de rebote, de
+     * modo que un obstáculo en movimiento empuja la bolita
+     * @param {Object} obstacle - Obstáculo con el que colisionó
+     * @param {Object} hit - Normal (normalX, normalY) y punto (x, y) de contacto
+     * @returns {Object|null} - Contacto a notificar, o null si el golpe fue demasiado suave
      */
-    updatePosition() {
-        if (this.element) {
-            this.element.style.left = `${this.x}px`;
-            this.element.style.top = `${this.y}px`;
-        }
+    handleObstacleCollision(obstacle, hit) {
+        const surface = this.getSurfaceVelocity(obstacle, hit.x, hit.y);
+        const velocityAlongNormal = (this.vx - surface.x) * hit.normalX + (this.vy - surface.y) * hit.normalY;
+        
+        // Si ya se está separando no hay nada que reflejar
+        if (velocityAlongNormal >= 0) return null;
+        
+        const impactSpeed = -velocityAlongNormal;
+        
+        // Aplicar rebote con la restitución de la superficie tocada
+        const bounce = this.getBounce(obstacle);
+        this.vx -= (1 + bounce) * velocityAlongNormal * hit.normalX;
+        this.vy -= (1 + bounce) * velocityAlongNormal * hit.normalY;
+        
+        // Los contactos de reposo (bolita apoyada contra el obstáculo) no cuentan
+        if (impactSpeed < this.minImpactSpeed) return null;
+        
+        return {
+            obstacle,
+            x: hit.x,
+            y: hit.y,
+            normalX: hit.normalX,
+            normalY: hit.normalY,
+            impactSpeed
+        };
+    }
+    
+    /**
+     * Factor de rebote contra un obstáculo o muro: su propia restitución si la
+     * tiene (un rebotador puede pasar de 1) o la de la bolita
+     * @param {Object} obstacle - Obstáculo o muro tocado
+     * @returns {number}
+     */
+    getBounce(obstacle) {
+        return obstacle && obstacle.restitution !== undefined ? obstacle.restitution : this.bounce;
+    }
+    
+    /**
+     * Cambia las propiedades de movimiento según el suelo que pisa la bolita
+     * @param {Object|null} surface - {friction, acceleration, maxSpeed, bounce};
+     *                                null vuelve al suelo normal
+     */
+    setSurface(surface) {
+        const values = { ...this.baseSurface, ...(surface || {}) };
+        
+        this.surface = surface || null;
+        this.friction = values.friction;
+        this.acceleration = values.acceleration;
+        this.maxSpeed = values.maxSpeed * this.speedMultiplier;
+        this.bounce = values.bounce;
+    }
+    
+    /**
+     * Cambia el multiplicador de la velocidad máxima, sobre la del suelo actual
+     * @param {number} multiplier - 1 es la velocidad normal
+     */
+    setSpeedMultiplier(multiplier) {
+        this.speedMultiplier = multiplier;
+        this.setSurface(this.surface);
+    }
+    
+    /**
+     * Cambia el radio de la bolita y con él los límites del área de juego
+     * @param {number} radius - Nuevo radio
+     */
+    setRadius(radius) {
+        this.radius = radius;
+        this.setBounds(this.worldSize.width, this.worldSize.height);
+    }
+    
+    /**
+     * Obtiene la posición interpolada entre el tick anterior y el actual
+     * @param {number} alpha - Fracción (0 a 1) entre ambos ticks
+     * @returns {Object} - Objeto con propiedades x, y, radius
+     */
+    getInterpolatedPosition(alpha) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha,
+            radius: this.radius
+        };
     }
     
     /**
      * Reinicia la bolita a su posición inicial
      */
     reset() {
-        this.x = this.startX;
-        this.y = this.startY;
+        this.respawn(this.startX, this.startY);
+        this.setSurface(null);
+    }
+    
+    /**
+     * Coloca la bolita detenida en un punto (salida o punto de control)
+     * @param {number} x - X de reaparición
+     * @param {number} y - Y de reaparición
+     */
+    respawn(x, y) {
+        this.x = this.prevX = x;
+        this.y = this.prevY = y;
         this.vx = 0;
         this.vy = 0;
+        this.forceX = 0;
+        this.forceY = 0;
         this.isColliding = false;
-        this.updatePosition();
+    }
+    
+    /**
+     * Lleva la bolita a otro punto sin perder su impulso (portales). La
+     * velocidad se gira el ángulo indicado y no se interpola el salto
+     * @param {number} x - X de salida
+     * @param {number} y - Y de salida
+     * @param {number} angle - Giro de la velocidad en radianes
+     */
+    teleport(x, y, angle = 0) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const vx = this.vx;
+        
+        this.vx = vx * cos - this.vy * sin;
+        this.vy = vx * sin + this.vy * cos;
+        this.x = this.prevX = Math.max(this.bounds.left, Math.min(this.bounds.right, x));
+        this.y = this.prevY = Math.max(this.bounds.top, Math.min(this.bounds.bottom, y));
     }
     
     /**
@@ -261,3 +659,7 @@ class Ball {
     }
 }
 
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ball;
+}
@@ -0,0 +1,196 @@
+/**
+ * Tilt Runner - Calibration Store
+ * Guarda en localStorage (es decir, en este dispositivo) los perfiles de
+ * calibración de la inclinación. Cada postura tiene el suyo, porque el
+ * punto de reposo cambia mucho entre jugar sentado, de pie o tumbado.
+ * También guarda los ajustes del filtro de sensores y del mando, que son
+ * del dispositivo y no de la postura
+ *
+ * Perfil: {beta, gamma, isCalibrated, maxAngle, deadZone, curve, invertX, invertY,
+ *          orientationLock}
+ *   beta, gamma  - posición de reposo (grados)
+ *   maxAngle     - inclinación que da la fuerza máxima (grados)
+ *   deadZone     - fracción de maxAngle sin efecto (0 a 0.5)
+ *   curve        - respuesta: linear, quadratic o cubic
+ *   invertX/Y    - invierten cada eje
+ *   orientationLock - auto (sigue el giro de la pantalla), portrait o landscape
+ */
+
+class CalibrationStore {
+    constructor(storageKey = 'tiltRunner.calibration') {
+        this.storageKey = storageKey;
+        
+        // Versión del formato guardado
+        this.version = 1;
+        
+        // Posturas con perfil propio y nombre para mostrar
+        this.profileNames = {
+            sitting: 'Sentado',
+            standing: 'De pie',
+            lying: 'Tumbado'
+        };
+        
+        // Estado en memoria: {activeProfile, profiles: {postura: perfil}}
+        this.data = this.createEmpty();
+        
+        this.load();
+    }
+    
+    /**
+     * Perfil sin calibrar con la respuesta de siempre (lineal, 45°)
+     * @returns {Object}
+     */
+    createDefaultProfile() {
+        return {
+            beta: 0,
+            gamma: 0,
+            isCalibrated: false,
+            maxAngle: 45,
+            deadZone: 0,
+            curve: 'linear',
+            invertX: false,
+            invertY: false,
+            orientationLock: 'auto'
+        };
+    }
+    
+    /**
+     * Crea una calibración vacía
+     * @returns {Object}
+     */
+    createEmpty() {
+        return {
+            version: this.version,
+            activeProfile: 'sitting',
+            profiles: {},
+            filter: {},
+            gamepad: {}
+        };
+    }
+    
+    /**
+     * Devuelve localStorage si está disponible (puede fallar en modo privado)
+     * @returns {Storage|null}
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Lee los perfiles guardados; si están dañados o son de otra versión se
+     * empieza de cero
+     */
+    load() {
+        const storage = this.getStorage();
+        if (!storage) return;
+        
+        try {
+            const saved = JSON.parse(storage.getItem(this.storageKey));
+            if (saved && saved.version === this.version && typeof saved.profiles === 'object') {
+                this.data = { ...this.createEmpty(), ...saved };
+            }
+        } catch (error) {
+            console.warn('Calibración guardada ilegible, se empieza de cero:', error);
+        }
+        
+        if (!(this.data.activeProfile in this.profileNames)) {
+            this.data.activeProfile = 'sitting';
+        }
+    }
+    
+    /**
+     * Guarda los perfiles
+     */
+    save() {
+        const storage = this.getStorage();
+        if (!storage) return;
+        
+        try {
+            storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('No se pudo guardar la calibración:', error);
+        }
+    }
+    
+    /**
+     * @returns {string} - Postura en uso
+     */
+    getActiveProfile() {
+        return this.data.activeProfile;
+    }
+    
+    /**
+     * Cambia de postura
+     * @param {string} name - sitting, standing o lying
+     * @returns {Object} - Perfil de la postura
+     */
+    setActiveProfile(name) {
+        if (name in this.profileNames) {
+            this.data.activeProfile = name;
+            this.save();
+        }
+        
+        return this.getProfile(this.data.activeProfile);
+    }
+    
+    /**
+     * Perfil de una postura, con los valores por defecto en lo que falte
+     * @param {string} name - Postura (por defecto, la activa)
+     * @returns {Object} - Copia del perfil
+     */
+    getProfile(name = this.data.activeProfile) {
+        return { ...this.createDefaultProfile(), ...(this.data.profiles[name] || {}) };
+    }
+    
+    /**
+     * Guarda el perfil de una postura
+     * @param {Object} profile - Perfil completo
+     * @param {string} name - Postura (por defecto, la activa)
+     */
+    saveProfile(profile, name = this.data.activeProfile) {
+        this.data.profiles[name] = { ...this.createDefaultProfile(), ...profile };
+        this.save();
+    }
+    
+    /**
+     * @returns {Object} - Ajustes guardados del filtro de sensores (los que
+     *                     falten los pone SensorFilter)
+     */
+    getFilterSettings() {
+        return { ...(this.data.filter || {}) };
+    }
+    
+    /**
+     * Guarda los ajustes del filtro de sensores
+     * @param {Object} settings - {mode, smoothing, speedCoefficient, maxJump}
+     */
+    saveFilterSettings(settings) {
+        this.data.filter = { ...settings };
+        this.save();
+    }
+    
+    /**
+     * @returns {Object} - Ajustes guardados del mando: {deadZone}
+     */
+    getGamepadSettings() {
+        return { ...(this.data.gamepad || {}) };
+    }
+    
+    /**
+     * Guarda los ajustes del mando
+     * @param {Object} settings - {deadZone}
+     */
+    saveGamepadSettings(settings) {
+        this.data.gamepad = { ...settings };
+        this.save();
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalibrationStore;
+}
@@ -1,6 +1,7 @@
 /**
  * Tilt Runner - Controls System
- * Sistema de controles para dispositivos móviles (inclinación) y desktop (teclado)
+ * Sistema de controles para dispositivos móviles (inclinación), desktop
+ * (teclado) y mandos (Gamepad API, con el stick analógico)
  */
 
 class ControlsManager {
@@ -9,11 +10,18 @@ class ControlsManager {
         this.isEnabled = false;
         this.isMobile = this.detectMobile();
         this.hasOrientationPermission = false;
+        this.needsOrientationPermission = false;
+        this.inputMode = this.isMobile ? 'tilt' : 'keyboard'; // tilt, keyboard, touch, gamepad
+        this.orientationListenerActive = false;
+        this.touchControlsActive = false;
         
         // Configuración de sensibilidad
         this.sensitivity = {
             mobile: 0.8,
-            desktop: 1.0
+            desktop: 1.0,
+            touch: 0.1,
+            joystick: 1.0,
+            gamepad: 1.0
         };
         
         // Estado de las teclas (para desktop)
@@ -28,25 +36,87 @@ class ControlsManager {
             KeyD: false
         };
         
-        // Datos de orientación
+        // Datos de orientación (beta y gamma ya pasados por el filtro)
         this.orientation = {
             alpha: 0, // Rotación Z (brújula)
             beta: 0,  // Rotación X (inclinación frontal/trasera)
             gamma: 0  // Rotación Y (inclinación izquierda/derecha)
         };
         
-        // Calibración inicial
+        // Control táctil (alternativa sin sensores). Solo manda el dedo que
+        // empezó el gesto ("id"); los demás se ignoran
+        this.touch = {
+            mode: 'joystick', // joystick (palanca flotante) o drag (arrastre relativo)
+            id: null,
+            originX: 0, // Centro de la palanca, donde se apoyó el dedo
+            originY: 0,
+            lastX: 0,
+            lastY: 0,
+            radius: 60, // Recorrido de la palanca en píxeles
+            deadZone: 0.1
+        };
+        
+        // Sensores: si tras habilitar los controles no llega ninguna lectura
+        // en sensorTimeout ms, el dispositivo no tiene giroscopio
+        this.orientationReceived = false;
+        this.sensorTimeout = 2000;
+        
+        // Filtro de las lecturas de orientación (temblor y saltos del sensor)
+        this.sensorFilter = new SensorFilter();
+        
+        // Mando: el primero que se conecta. El stick izquierdo inclina el
+        // tablero en proporción a lo que se mueve fuera de la zona muerta;
+        // "center" es su posición de reposo (se calibra con un botón)
+        this.gamepad = {
+            index: null,
+            id: null,
+            deadZone: 0.15,
+            center: { x: 0, y: 0 },
+            stick: { x: 0, y: 0 },
+            previousMode: null, // Modo al que se vuelve al desconectarlo
+            loopActive: false,
+            pressed: {},
+            // Botones con la distribución estándar: Start, Back/Select, Y/Triángulo
+            buttons: { pause: 9, restart: 8, calibrate: 3 },
+            dpad: { up: 12, down: 13, left: 14, right: 15 }
+        };
+        
+        // Calibración de la inclinación (un perfil de CalibrationStore):
+        // posición de reposo, inclinación que da la fuerza máxima, zona
+        // muerta (fracción de maxAngle), curva de respuesta, inversión de
+        // ejes y bloqueo de la orientación de la pantalla
         this.calibration = {
             beta: 0,
             gamma: 0,
-            isCalibrated: false
+            isCalibrated: false,
+            maxAngle: 45,
+            deadZone: 0,
+            curve: 'linear',
+            invertX: false,
+            invertY: false,
+            orientationLock: 'auto'
         };
         
+        // Ángulo de la pantalla (0, 90, 180 o 270). Los sensores miden en
+        // ejes del dispositivo; la inclinación se gira con este ángulo para
+        // que la bolita vaya siempre hacia el borde que el jugador ve abajo
+        this.screenAngle = this.getScreenAngle();
+        this.orientationLocks = ['auto', 'portrait', 'landscape'];
+        this.appliedOrientationLock = 'auto'; // Último bloqueo pedido al navegador
+        
+        // Curvas de respuesta: exponente que se aplica a la inclinación
+        this.curves = { linear: 1, quadratic: 2, cubic: 3 };
+        
         // Referencia al motor de físicas
         this.physicsEngine = null;
         
         // Callbacks
         this.onForceChange = null;
+        this.onPauseRequest = null; // Botones del mando
+        this.onRestartRequest = null;
+        this.onCalibrationChange = null; // Recibe el perfil al calibrar o ajustar
+        this.onFilterChange = null; // Recibe los ajustes del filtro de sensores
+        this.onGamepadChange = null; // Recibe los ajustes del mando: {deadZone}
         
         this.initializeControls();
     }
@@ -70,6 +140,9 @@ class ControlsManager {
             this.initializeDesktopControls();
         }
         
+        // Los mandos funcionan en cualquier dispositivo
+        this.initializeGamepadControls();
+        
         // Mostrar información de controles
         this.updateControlsInfo();
     }
@@ -81,25 +154,18 @@ class ControlsManager {
         // Verificar soporte para DeviceOrientationEvent
         if (!window.DeviceOrientationEvent) {
             console.warn('DeviceOrientationEvent no soportado');
-            this.fallbackToDesktopControls();
+            if (this.hasTouchScreen()) {
+                this.fallbackToTouchControls();
+            } else {
+                this.fallbackToDesktopControls();
+            }
             return;
         }
         
-        // Solicitar permisos en iOS 13+
+        // En iOS 13+ el permiso solo puede pedirse desde un gesto del usuario,
+        // así que se deja pendiente hasta requestOrientationPermission()
         if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-            try {
-                const permission = await DeviceOrientationEvent.requestPermission();
-                if (permission === 'granted') {
-                    this.hasOrientationPermission = true;
-                    this.setupOrientationListener();
-                } else {
-                    console.warn('Permiso de orientación denegado');
-                    this.fallbackToDesktopControls();
-                }
-            } catch (error) {
-                console.error('Error solicitando permisos:', error);
-                this.fallbackToDesktopControls();
-            }
+            this.needsOrientationPermission = true;
         } else {
             // Android y otros dispositivos
             this.hasOrientationPermission = true;
@@ -111,24 +177,42 @@ class ControlsManager {
      * Configura el listener de orientación del dispositivo
      */
     setupOrientationListener() {
+        if (this.orientationListenerActive) return;
+        this.orientationListenerActive = true;
+        this.inputMode = 'tilt';
+        
+        // Seguir los giros de la pantalla (landscape, vertical invertido...)
+        const updateScreenAngle = () => {
+            this.screenAngle = this.getScreenAngle();
+        };
+        if (window.screen?.orientation?.addEventListener) {
+            window.screen.orientation.addEventListener('change', updateScreenAngle);
+        } else {
+            window.addEventListener('orientationchange', updateScreenAngle);
+        }
+        
         window.addEventListener('deviceorientation', (event) => {
-            if (!this.isEnabled) return;
+            // Sin giroscopio algunos navegadores mandan el evento con valores nulos
+            if (event.beta === null && event.gamma === null) return;
+            this.orientationReceived = true;
             
-            // Actualizar datos de orientación
+            // Filtrar la lectura; las que saltan demasiado se descartan
+            const reading = this.sensorFilter.filter(event.beta || 0, event.gamma || 0, event.timeStamp || Date.now());
+            if (!reading) return;
+            
+            // Actualizar datos de orientación (también con los controles
+            // deshabilitados, para la vista previa de la calibración)
             this.orientation.alpha = event.alpha || 0;
-            this.orientation.beta = event.beta || 0;
-            this.orientation.gamma = event.gamma || 0;
+            this.orientation.beta = reading.beta;
+            this.orientation.gamma = reading.gamma;
             
-            // Aplicar calibración si está disponible
-            let adjustedBeta = this.orientation.beta - this.calibration.beta;
-            let adjustedGamma = this.orientation.gamma - this.calibration.gamma;
+            if (!this.isEnabled || this.inputMode !== 'tilt') return;
             
-            // Normalizar valores y aplicar sensibilidad
-            const forceX = this.normalizeOrientation(adjustedGamma, 45) * this.sensitivity.mobile;
-            const forceY = this.normalizeOrientation(adjustedBeta, 45) * this.sensitivity.mobile;
+            // Aplicar calibración y sensibilidad
+            const tilt = this.mapTilt(this.orientation.beta, this.orientation.gamma);
             
             // Enviar fuerzas al motor de físicas
-            this.applyForces(forceX, forceY);
+            this.applyForces(tilt.x * this.sensitivity.mobile, tilt.y * this.sensitivity.mobile);
         });
         
         console.log('Controles móviles inicializados');
@@ -145,6 +229,11 @@ class ControlsManager {
             if (event.code in this.keys) {
                 this.keys[event.code] = true;
                 event.preventDefault();
+                
+                // Tocar el teclado recupera el control que tenía el mando
+                if (this.inputMode === 'gamepad') {
+                    this.setInputMode('keyboard');
+                }
             }
         });
         
@@ -162,21 +251,400 @@ class ControlsManager {
         console.log('Controles de teclado inicializados');
     }
     
+    /**
+     * Inicializa los mandos: se conectan y desconectan en caliente, y los que
+     * ya estaban conectados al cargar la página se detectan al leerlos
+     */
+    initializeGamepadControls() {
+        if (!navigator.getGamepads) return;
+        
+        window.addEventListener('gamepadconnected', (event) => {
+            this.connectGamepad(event.gamepad);
+        });
+        
+        window.addEventListener('gamepaddisconnected', (event) => {
+            if (event.gamepad.index === this.gamepad.index) {
+                this.disconnectGamepad();
+            }
+        });
+        
+        const connected = Array.from(navigator.getGamepads()).find(gamepad => gamepad);
+        if (connected) {
+            this.connectGamepad(connected);
+        }
+    }
+    
+    /**
+     * Empieza a leer un mando recién conectado (si no había ya otro)
+     * @param {Gamepad} gamepad - Mando conectado
+     */
+    connectGamepad(gamepad) {
+        if (this.gamepad.index !== null) return;
+        
+        this.gamepad.index = gamepad.index;
+        this.gamepad.id = gamepad.id;
+        this.gamepad.center = { x: 0, y: 0 };
+        
+        // Los botones que ya están pulsados al conectar no cuentan
+        this.gamepad.pressed = {};
+        gamepad.buttons.forEach((button, index) => {
+            this.gamepad.pressed[index] = button.pressed;
+        });
+        
+        console.log(`🎮 Mando conectado: ${gamepad.id}`);
+        this.updateControlsInfo();
+        this.startGamepadLoop();
+    }
+    
+    /**
+     * Deja de leer el mando y devuelve el control al modo anterior. Si hay
+     * otro mando conectado, pasa a leer ese
+     */
+    disconnectGamepad() {
+        console.log(`🎮 Mando desconectado: ${this.gamepad.id}`);
+        
+        const previousIndex = this.gamepad.index;
+        this.gamepad.index = null;
+        this.gamepad.id = null;
+        this.gamepad.stick = { x: 0, y: 0 };
+        
+        if (this.inputMode === 'gamepad') {
+            this.setInputMode(this.gamepad.previousMode);
+            this.applyForces(0, 0);
+        }
+        this.updateControlsInfo();
+        
+        const other = Array.from(navigator.getGamepads())
+            .find(gamepad => gamepad && gamepad.connected !== false && gamepad.index !== previousIndex);
+        if (other) {
+            this.connectGamepad(other);
+        }
+    }
+    
+    /**
+     * Inicia el bucle que lee el mando (la Gamepad API no tiene eventos de
+     * ejes ni de botones). Termina solo al desconectarlo
+     */
+    startGamepadLoop() {
+        if (this.gamepad.loopActive) return;
+        this.gamepad.loopActive = true;
+        
+        const updateGamepad = () => {
+            const gamepad = this.gamepad.index === null ? null : navigator.getGamepads()[this.gamepad.index];
+            if (!gamepad) {
+                this.gamepad.loopActive = false;
+                return;
+            }
+            
+            this.handleGamepadButtons(gamepad);
+            
+            const stick = this.readGamepadStick(gamepad);
+            this.gamepad.stick = stick;
+            
+            // Mover el stick le da el control al mando
+            if (this.inputMode !== 'gamepad' && (stick.x !== 0 || stick.y !== 0)) {
+                this.setInputMode('gamepad');
+            }
+            
+            if (this.isEnabled && this.inputMode === 'gamepad') {
+                this.applyForces(stick.x * this.sensitivity.gamepad, stick.y * this.sensitivity.gamepad);
+            }
+            
+            requestAnimationFrame(updateGamepad);
+        };
+        
+        updateGamepad();
+    }
+    
+    /**
+     * Lee el stick izquierdo con zona muerta radial: dentro de ella no hay
+     * fuerza y fuera crece en proporción hasta 1 en el borde. La cruceta
+     * cuenta como el stick al máximo
+     * @param {Gamepad} gamepad - Mando
+     * @returns {Object} - {x, y} de -1 a 1
+     */
+    readGamepadStick(gamepad) {
+        const dpad = this.gamepad.dpad;
+        const isPressed = (index) => Boolean(gamepad.buttons[index]?.pressed);
+        const dpadX = (isPressed(dpad.right) ? 1 : 0) - (isPressed(dpad.left) ? 1 : 0);
+        const dpadY = (isPressed(dpad.down) ? 1 : 0) - (isPressed(dpad.up) ? 1 : 0);
+        if (dpadX !== 0 || dpadY !== 0) {
+            return { x: dpadX, y: dpadY };
+        }
+        
+        const x = (gamepad.axes[0] || 0) - this.gamepad.center.x;
+        const y = (gamepad.axes[1] || 0) - this.gamepad.center.y;
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadZone = this.gamepad.deadZone;
+        if (magnitude <= deadZone) {
+            return { x: 0, y: 0 };
+        }
+        
+        const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+        return {
+            x: Math.max(-1, Math.min(1, x * scale)),
+            y: Math.max(-1, Math.min(1, y * scale))
+        };
+    }
+    
+    /**
+     * Actúa al pulsar (no al mantener) los botones de pausa, reinicio y calibración
+     * @param {Gamepad} gamepad - Mando
+     */
+    handleGamepadButtons(gamepad) {
+        const buttons = this.gamepad.buttons;
+        const justPressed = (index) => {
+            const pressed = Boolean(gamepad.buttons[index]?.pressed);
+            const wasPressed = this.gamepad.pressed[index];
+            this.gamepad.pressed[index] = pressed;
+            return pressed && !wasPressed;
+        };
+        
+        if (justPressed(buttons.pause) && this.onPauseRequest) {
+            this.onPauseRequest();
+        }
+        if (justPressed(buttons.restart) && this.onRestartRequest) {
+            this.onRestartRequest();
+        }
+        if (justPressed(buttons.calibrate) && this.isEnabled) {
+            this.calibrateGamepad(gamepad);
+        }
+    }
+    
+    /**
+     * Toma la posición actual del stick como reposo (corrige mandos con deriva)
+     * @param {Gamepad} gamepad - Mando
+     */
+    calibrateGamepad(gamepad) {
+        this.gamepad.center = {
+            x: gamepad.axes[0] || 0,
+            y: gamepad.axes[1] || 0
+        };
+        
+        console.log('🎮 Mando calibrado:', this.gamepad.center);
+        this.showCalibrationMessage();
+    }
+    
+    /**
+     * Ajusta la zona muerta del stick
+     * @param {number} deadZone - Fracción del recorrido sin efecto (0-0.9)
+     * @param {boolean} notify - Avisar con onGamepadChange (para guardarla)
+     */
+    setGamepadDeadZone(deadZone, notify = true) {
+        if (!Number.isFinite(Number(deadZone))) return;
+        
+        this.gamepad.deadZone = Math.max(0, Math.min(0.9, Number(deadZone)));
+        
+        if (notify && this.onGamepadChange) {
+            this.onGamepadChange({ deadZone: this.gamepad.deadZone });
+        }
+    }
+    
+    /**
+     * Cambia el modo de entrada activo y actualiza las instrucciones
+     * @param {string} mode - tilt, keyboard, touch o gamepad
+     */
+    setInputMode(mode) {
+        if (mode === this.inputMode) return;
+        
+        if (mode === 'gamepad') {
+            this.gamepad.previousMode = this.inputMode;
+        }
+        this.inputMode = mode;
+        this.updateControlsInfo();
+    }
+    
     /**
      * Fallback a controles de desktop cuando móvil no funciona
      */
     fallbackToDesktopControls() {
         this.isMobile = false;
+        this.inputMode = 'keyboard';
         this.initializeDesktopControls();
         this.updateControlsInfo();
     }
     
+    /**
+     * @returns {boolean} - true si la pantalla es táctil
+     */
+    hasTouchScreen() {
+        return navigator.maxTouchPoints > 0 || 'ontouchstart' in window;
+    }
+    
+    /**
+     * Fallback a controles táctiles cuando no hay acceso a los sensores
+     */
+    fallbackToTouchControls() {
+        this.inputMode = 'touch';
+        this.initializeTouchControls();
+        this.updateControlsInfo();
+    }
+    
+    /**
+     * Inicializa controles táctiles. Con la palanca, el dedo que toca fija el
+     * centro y desplazarlo inclina el tablero en proporción hasta el borde;
+     * con el arrastre, cada movimiento del dedo empuja la bolita
+     */
+    initializeTouchControls() {
+        const surface = document.getElementById('gameScreen');
+        if (!surface || this.touchControlsActive) return;
+        
+        this.touchControlsActive = true;
+        this.joystickElement = document.getElementById('virtualJoystick');
+        this.joystickKnob = this.joystickElement?.querySelector('.virtual-joystick-knob');
+        
+        surface.addEventListener('touchstart', (event) => {
+            // No bloquear los botones del HUD (pausa) ni las instrucciones (cambian de modo)
+            if (!this.isEnabled || this.inputMode !== 'touch' ||
+                event.target.closest('button, #controlInstructions')) return;
+            
+            event.preventDefault();
+            
+            // Un segundo dedo no toma el control
+            if (this.touch.id !== null) return;
+            
+            const touch = event.changedTouches[0];
+            this.touch.id = touch.identifier;
+            this.touch.originX = this.touch.lastX = touch.clientX;
+            this.touch.originY = this.touch.lastY = touch.clientY;
+            
+            if (this.touch.mode === 'joystick') {
+                this.showJoystick(touch.clientX, touch.clientY);
+            }
+        }, { passive: false });
+        
+        surface.addEventListener('touchmove', (event) => {
+            const touch = this.findActiveTouch(event.changedTouches);
+            if (!this.isEnabled || !touch) return;
+            
+            event.preventDefault();
+            
+            if (this.touch.mode === 'joystick') {
+                this.moveJoystick(touch.clientX, touch.clientY);
+                return;
+            }
+            
+            const forceX = (touch.clientX - this.touch.lastX) * this.sensitivity.touch;
+            const forceY = (touch.clientY - this.touch.lastY) * this.sensitivity.touch;
+            
+            this.applyForces(
+                Math.max(-1, Math.min(1, forceX)),
+                Math.max(-1, Math.min(1, forceY))
+            );
+            
+            this.touch.lastX = touch.clientX;
+            this.touch.lastY = touch.clientY;
+        }, { passive: false });
+        
+        // Solo suelta el dedo que controla; touchcancel llega si el sistema
+        // se queda con el gesto (una llamada, una notificación...)
+        const release = (event) => {
+            if (this.findActiveTouch(event.changedTouches)) {
+                this.releaseTouch();
+            }
+        };
+        surface.addEventListener('touchend', release);
+        surface.addEventListener('touchcancel', release);
+        
+        console.log('Controles táctiles inicializados');
+    }
+    
+    /**
+     * @param {TouchList} touches - Dedos que han cambiado en el evento
+     * @returns {Touch|null} - El dedo que controla, si está entre ellos
+     */
+    findActiveTouch(touches) {
+        if (this.touch.id === null) return null;
+        
+        return Array.from(touches).find(touch => touch.identifier === this.touch.id) || null;
+    }
+    
+    /**
+     * Convierte la posición del dedo en inclinación y mueve el mando de la palanca
+     * @param {number} x - X del dedo en la pantalla
+     * @param {number} y - Y del dedo en la pantalla
+     */
+    moveJoystick(x, y) {
+        const radius = this.touch.radius;
+        let dx = x - this.touch.originX;
+        let dy = y - this.touch.originY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // El mando no sale del borde de la palanca
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+        
+        if (this.joystickKnob) {
+            this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+        }
+        
+        const amount = Math.min(1, distance / radius);
+        if (amount <= this.touch.deadZone) {
+            this.applyForces(0, 0);
+            return;
+        }
+        
+        // Fuera de la zona muerta la fuerza crece desde 0 hasta 1 en el borde
+        const scale = (amount - this.touch.deadZone) / (1 - this.touch.deadZone) / amount / radius;
+        this.applyForces(dx * scale * this.sensitivity.joystick, dy * scale * this.sensitivity.joystick);
+    }
+    
+    /**
+     * Muestra la palanca centrada donde se apoyó el dedo
+     * @param {number} x - X del dedo en la pantalla
+     * @param {number} y - Y del dedo en la pantalla
+     */
+    showJoystick(x, y) {
+        if (!this.joystickElement) return;
+        
+        const size = this.touch.radius * 2;
+        Object.assign(this.joystickElement.style, {
+            left: `${x - this.touch.radius}px`,
+            top: `${y - this.touch.radius}px`,
+            width: `${size}px`,
+            height: `${size}px`
+        });
+        if (this.joystickKnob) {
+            this.joystickKnob.style.transform = 'translate(0px, 0px)';
+        }
+        this.joystickElement.classList.remove('hidden');
+    }
+    
+    /**
+     * Suelta el dedo que controla: sin inclinación y sin palanca
+     */
+    releaseTouch() {
+        const wasActive = this.touch.id !== null;
+        
+        this.touch.id = null;
+        this.joystickElement?.classList.add('hidden');
+        
+        if (wasActive) {
+            this.applyForces(0, 0);
+        }
+    }
+    
+    /**
+     * Cambia entre la palanca flotante y el arrastre relativo
+     * @param {string} mode - joystick o drag (si falta, el otro)
+     */
+    setTouchMode(mode = this.touch.mode === 'joystick' ? 'drag' : 'joystick') {
+        if (mode !== 'joystick' && mode !== 'drag') return;
+        
+        this.releaseTouch();
+        this.touch.mode = mode;
+        this.updateControlsInfo();
+    }
+    
     /**
      * Inicia el bucle de actualización para controles de teclado
      */
     startKeyboardLoop() {
         const updateKeyboard = () => {
-            if (!this.isEnabled) {
+            // Mientras manda el mando, el teclado no empuja
+            if (!this.isEnabled || this.inputMode === 'gamepad') {
                 requestAnimationFrame(updateKeyboard);
                 return;
             }
@@ -213,6 +681,75 @@ class ControlsManager {
         return Math.max(-1, Math.min(1, value / maxAngle));
     }
     
+    /**
+     * Ángulo actual de la pantalla respecto a su posición natural
+     * @returns {number} - 0, 90, 180 o 270 grados
+     */
+    getScreenAngle() {
+        const angle = window.screen?.orientation ?
+            window.screen.orientation.angle :
+            Number(window.orientation) || 0; // iOS antiguo: -90, 0, 90, 180
+        
+        return ((Math.round(angle / 90) * 90) % 360 + 360) % 360;
+    }
+    
+    /**
+     * Pasa una inclinación de ejes del dispositivo a ejes de la pantalla
+     * @param {number} x - Inclinación izquierda/derecha del dispositivo (gamma)
+     * @param {number} y - Inclinación frontal/trasera del dispositivo (beta)
+     * @param {number} angle - Ángulo de la pantalla (0, 90, 180, 270)
+     * @returns {Object} - {x, y} en ejes de la pantalla
+     */
+    rotateTilt(x, y, angle) {
+        switch (angle) {
+            case 90:
+                return { x: y, y: -x };
+            case 180:
+                return { x: -x, y: -y };
+            case 270:
+                return { x: -y, y: x };
+            default:
+                return { x, y };
+        }
+    }
+    
+    /**
+     * Aplica la zona muerta y la curva de respuesta de la calibración. Fuera
+     * de la zona muerta la fuerza vuelve a empezar en 0, sin saltos
+     * @param {number} value - Valor normalizado (-1 a 1)
+     * @returns {number} - Valor con la respuesta aplicada (-1 a 1)
+     */
+    applyResponse(value) {
+        const deadZone = this.calibration.deadZone;
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+        
+        const scaled = (magnitude - deadZone) / (1 - deadZone);
+        const exponent = this.curves[this.calibration.curve] || 1;
+        return Math.sign(value) * Math.pow(scaled, exponent);
+    }
+    
+    /**
+     * Convierte una lectura del sensor en inclinación del tablero según la
+     * calibración (reposo, ángulo máximo, zona muerta, curva e inversión) y
+     * el giro de la pantalla. El reposo está en ejes del dispositivo, así
+     * que se resta antes de girar
+     * @param {number} beta - Inclinación frontal/trasera (grados)
+     * @param {number} gamma - Inclinación izquierda/derecha (grados)
+     * @returns {Object} - {x, y} de -1 a 1, sin sensibilidad
+     */
+    mapTilt(beta, gamma) {
+        const calibration = this.calibration;
+        const tilt = this.rotateTilt(gamma - calibration.gamma, beta - calibration.beta, this.screenAngle);
+        const x = this.applyResponse(this.normalizeOrientation(tilt.x, calibration.maxAngle));
+        const y = this.applyResponse(this.normalizeOrientation(tilt.y, calibration.maxAngle));
+        
+        return {
+            x: calibration.invertX ? -x : x,
+            y: calibration.invertY ? -y : y
+        };
+    }
+    
     /**
      * Aplica fuerzas al motor de físicas
      * @param {number} forceX - Fuerza horizontal (-1 a 1)
@@ -232,6 +769,7 @@ class ControlsManager {
     
     /**
      * Calibra los controles móviles con la posición actual
+     * @returns {boolean} - true si había sensores con los que calibrar
      */
     calibrate() {
         if (this.isMobile && this.hasOrientationPermission) {
@@ -243,6 +781,140 @@ class ControlsManager {
             
             // Mostrar mensaje de calibración
             this.showCalibrationMessage();
+            this.notifyCalibrationChange();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Carga un perfil de calibración (por ejemplo, el guardado para la
+     * postura elegida)
+     * @param {Object} profile - {beta, gamma, isCalibrated, maxAngle, deadZone, curve, invertX, invertY}
+     */
+    applyProfile(profile) {
+        this.calibration = {
+            beta: Number(profile.beta) || 0,
+            gamma: Number(profile.gamma) || 0,
+            isCalibrated: Boolean(profile.isCalibrated)
+        };
+        this.setTiltSettings(profile, false);
+    }
+    
+    /**
+     * @returns {Object} - Copia del perfil de calibración en uso
+     */
+    getProfile() {
+        return { ...this.calibration };
+    }
+    
+    /**
+     * Ajusta la respuesta a la inclinación. Los valores fuera de rango se
+     * recortan y los que faltan se dejan como estaban
+     * @param {Object} settings - {maxAngle (15-90), deadZone (0-0.5), curve, invertX, invertY,
+     *                             orientationLock (auto, portrait, landscape)}
+     * @param {boolean} notify - Avisar con onCalibrationChange (para guardarlo)
+     *                          y aplicar el bloqueo de orientación
+     */
+    setTiltSettings(settings, notify = true) {
+        const calibration = this.calibration;
+        
+        if (Number.isFinite(Number(settings.maxAngle))) {
+            calibration.maxAngle = Math.max(15, Math.min(90, Number(settings.maxAngle)));
+        } else if (calibration.maxAngle === undefined) {
+            calibration.maxAngle = 45;
+        }
+        
+        if (Number.isFinite(Number(settings.deadZone))) {
+            calibration.deadZone = Math.max(0, Math.min(0.5, Number(settings.deadZone)));
+        } else if (calibration.deadZone === undefined) {
+            calibration.deadZone = 0;
+        }
+        
+        if (settings.curve in this.curves) {
+            calibration.curve = settings.curve;
+        } else if (!(calibration.curve in this.curves)) {
+            calibration.curve = 'linear';
+        }
+        
+        ['invertX', 'invertY'].forEach(axis => {
+            if (axis in settings) {
+                calibration[axis] = Boolean(settings[axis]);
+            } else if (calibration[axis] === undefined) {
+                calibration[axis] = false;
+            }
+        });
+        
+        if (this.orientationLocks.includes(settings.orientationLock)) {
+            calibration.orientationLock = settings.orientationLock;
+        } else if (!this.orientationLocks.includes(calibration.orientationLock)) {
+            calibration.orientationLock = 'auto';
+        }
+        
+        // Un bloqueo nuevo se aplica ya (si esto viene de un gesto del
+        // usuario el navegador lo permite); si no, al pedir los permisos
+        if (notify && calibration.orientationLock !== this.appliedOrientationLock) {
+            this.applyOrientationLock();
+        }
+        
+        if (notify) {
+            this.notifyCalibrationChange();
+        }
+    }
+    
+    /**
+     * Bloquea la pantalla en la orientación de la calibración, o la libera
+     * con 'auto'. Muchos navegadores solo bloquean a pantalla completa, así
+     * que se pide antes; sin bloqueo la inclinación sigue el giro igualmente
+     * @returns {Promise<boolean>} - true si se aplicó
+     */
+    async applyOrientationLock() {
+        const lock = this.calibration.orientationLock;
+        this.appliedOrientationLock = lock;
+        
+        const orientation = window.screen?.orientation;
+        if (!orientation || typeof orientation.lock !== 'function') return false;
+        
+        
+        try {
+            if (lock === 'auto') {
+                orientation.unlock();
+                return true;
+            }
+            
+            if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+                await document.documentElement.requestFullscreen();
+            }
+            await orientation.lock(lock);
+            console.log(`🔒 Orientación bloqueada: ${lock}`);
+            return true;
+        } catch (error) {
+            console.warn('No se pudo bloquear la orientación:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Ajusta el filtro de las lecturas de orientación
+     * @param {Object} settings - {mode (none, lowPass, oneEuro), smoothing (0-0.95),
+     *                             speedCoefficient (0-1), maxJump (5-180)}
+     * @param {boolean} notify - Avisar con onFilterChange (para guardarlos)
+     */
+    setFilterSettings(settings, notify = true) {
+        this.sensorFilter.configure(settings);
+        
+        if (notify && this.onFilterChange) {
+            this.onFilterChange(this.sensorFilter.getSettings());
+        }
+    }
+    
+    /**
+     * Avisa del perfil de calibración actual (para guardarlo)
+     */
+    notifyCalibrationChange() {
+        if (this.onCalibrationChange) {
+            this.onCalibrationChange(this.getProfile());
         }
     }
     
@@ -263,40 +935,74 @@ class ControlsManager {
     }
     
     /**
-     * Solicita permisos de orientación (para iOS)
+     * Solicita permisos de orientación (para iOS). Debe llamarse desde un gesto
+     * del usuario; si se deniegan se pasa a controles táctiles
+     * @returns {Promise<string>} - 'granted', 'denied', 'error' o 'not-required'
      */
     async requestOrientationPermission() {
-        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-            try {
-                const permission = await DeviceOrientationEvent.requestPermission();
-                if (permission === 'granted') {
-                    this.hasOrientationPermission = true;
-                    this.setupOrientationListener();
-                    return true;
-                }
-            } catch (error) {
-                console.error('Error solicitando permisos:', error);
+        // Aprovechar el gesto para el bloqueo de orientación, si hay uno
+        if (this.calibration.orientationLock !== 'auto') {
+            this.applyOrientationLock();
+        }
+        
+        if (!this.needsOrientationPermission || this.hasOrientationPermission) {
+            return 'not-required';
+        }
+        
+        try {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            if (permission === 'granted') {
+                this.hasOrientationPermission = true;
+                this.setupOrientationListener();
+                this.updateControlsInfo();
+                return 'granted';
             }
+            
+            console.warn('Permiso de orientación denegado');
+            this.fallbackToTouchControls();
+            return 'denied';
+        } catch (error) {
+            console.error('Error solicitando permisos:', error);
+            this.fallbackToTouchControls();
+            return 'error';
         }
-        return false;
     }
     
     /**
      * Actualiza la información de controles en la UI
      */
     updateControlsInfo() {
-        const infoElement = document.querySelector('#gameScreen .bottom-4 p');
+        const infoElement = document.getElementById('controlInstructions');
         if (infoElement) {
-            if (this.isMobile) {
+            if (this.inputMode === 'gamepad') {
+                infoElement.innerHTML = '🎮 Usa el stick izquierdo para inclinar el tablero<br><small>Start: pausa · Select: reiniciar · Y: calibrar</small>';
+            } else if (this.inputMode === 'touch') {
+                infoElement.innerHTML = this.touch.mode === 'joystick' ?
+                    '🕹️ Toca y desliza el dedo para mover la bolita<br><small>Sin sensores de movimiento · Toca aquí para usar arrastre</small>' :
+                    '👆 Toca y arrastra para empujar la bolita<br><small>Sin sensores de movimiento · Toca aquí para usar la palanca</small>';
+            } else if (this.isMobile) {
                 infoElement.innerHTML = '📱 Inclina tu celular para mover la bolita<br><small>Toca para calibrar</small>';
-                
-                // Agregar listener para calibración al tocar
-                infoElement.addEventListener('click', () => {
-                    this.calibrate();
-                });
             } else {
                 infoElement.innerHTML = '⌨️ Usa las flechas o WASD para mover la bolita';
             }
+            
+            // Con un mando conectado pero sin usar, recordar que existe
+            if (this.gamepad.index !== null && this.inputMode !== 'gamepad') {
+                infoElement.innerHTML += '<br><small>🎮 Mando conectado: mueve el stick para usarlo</small>';
+            }
+            
+            // Tocar las instrucciones calibra la inclinación o cambia el modo
+            // táctil (el listener se agrega una sola vez)
+            if ((this.isMobile || this.inputMode === 'touch') && !infoElement.dataset.calibrateListener) {
+                infoElement.dataset.calibrateListener = 'true';
+                infoElement.addEventListener('click', () => {
+                    if (this.inputMode === 'touch') {
+                        this.setTouchMode();
+                    } else {
+                        this.calibrate();
+                    }
+                });
+            }
         }
     }
     
@@ -320,6 +1026,17 @@ class ControlsManager {
                 this.calibrate();
             }, 1000);
         }
+        
+        // Con el listener puesto pero sin lecturas, el dispositivo no tiene
+        // sensores: pasar a controles táctiles para que siempre haya control
+        if (this.orientationListenerActive && !this.orientationReceived) {
+            setTimeout(() => {
+                if (this.isEnabled && this.inputMode === 'tilt' && !this.orientationReceived) {
+                    console.warn('No llegan datos de orientación');
+                    this.fallbackToTouchControls();
+                }
+            }, this.sensorTimeout);
+        }
     }
     
     /**
@@ -332,6 +1049,12 @@ class ControlsManager {
         Object.keys(this.keys).forEach(key => {
             this.keys[key] = false;
         });
+        
+        // Soltar cualquier arrastre táctil en curso
+        this.releaseTouch();
+        
+        // Los botones del mando siguen funcionando (para reanudar), el stick no
+        this.gamepad.stick = { x: 0, y: 0 };
     }
     
     /**
@@ -342,10 +1065,24 @@ class ControlsManager {
         return {
             isEnabled: this.isEnabled,
             isMobile: this.isMobile,
+            inputMode: this.inputMode,
             hasOrientationPermission: this.hasOrientationPermission,
+            needsOrientationPermission: this.needsOrientationPermission,
             orientation: this.orientation,
+            screenAngle: this.screenAngle,
             calibration: this.calibration,
+            sensorFilter: this.sensorFilter.getDebugInfo(),
             keys: this.keys,
+            touch: {
+                mode: this.touch.mode,
+                active: this.touch.id !== null
+            },
+            gamepad: {
+                id: this.gamepad.id,
+                deadZone: this.gamepad.deadZone,
+                center: this.gamepad.center,
+                stick: this.gamepad.stick
+            },
             sensitivity: this.sensitivity
         };
     }
@@ -0,0 +1,275 @@
+/**
+ * Tilt Runner - Enemy System
+ * Enemigos que persiguen a la bolita. Cada uno patrulla su ruta (o espera en
+ * su sitio) hasta que ve la bolita dentro de su radio de visión sin muros en
+ * medio; entonces la persigue buscando camino por la rejilla de navegación
+ * (ver navgrid.js). Si la pierde de vista, va hasta donde la vio por última
+ * vez y vuelve a patrullar. Tocar un enemigo cuenta como golpe: la bolita
+ * sale despedida y el enemigo se queda aturdido un momento
+ *
+ * Estados: patrol (ruta o espera), chase (la ve), search (la ha perdido),
+ * stunned (tras un golpe)
+ */
+
+class EnemySystem {
+    /**
+     * @param {PhysicsEngine} engine - Motor con la bolita y los elementos del nivel
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.enemies = [];
+        this.grid = null;
+        
+        // Cada cuánto se recalcula el camino de una persecución (segundos)
+        this.repathInterval = 0.4;
+        
+        // Efecto de un golpe: segundos de aturdimiento y velocidad con la que
+        // sale despedida la bolita (por fotograma de referencia, como en Ball)
+        this.stunDuration = 1;
+        this.knockback = 5;
+        
+        // Lado de las celdas de la rejilla de navegación
+        this.cellSize = 20;
+    }
+    
+    /**
+     * Prepara los enemigos de un mundo recién cargado y su rejilla de navegación
+     * @param {Array} enemies - [{id, x, y, radius, speed, sightRadius, patrol: [{x, y}]}]
+     */
+    load(enemies = []) {
+        this.enemies = enemies.map((enemy, index) => ({
+            id: enemy.id || `enemy-${index}`,
+            homeX: enemy.x,
+            homeY: enemy.y,
+            x: enemy.x,
+            y: enemy.y,
+            prevX: enemy.x,
+            prevY: enemy.y,
+            radius: enemy.radius,
+            speed: enemy.speed,
+            sightRadius: enemy.sightRadius,
+            patrol: (enemy.patrol || []).map(point => ({ x: point.x, y: point.y })),
+            state: 'patrol',
+            path: [],
+            patrolIndex: 0,
+            lastSeen: null,
+            nextRepath: 0,
+            stunnedUntil: 0
+        }));
+        
+        this.grid = null;
+        if (this.enemies.length > 0) {
+            this.buildGrid();
+        }
+        
+        this.reset();
+    }
+    
+    /**
+     * Construye la rejilla de navegación con los muros, los obstáculos que no
+     * se mueven y los agujeros. Los obstáculos móviles no cuentan: los
+     * enemigos flotan sobre ellos
+     */
+    buildGrid() {
+        const GridClass = typeof NavGrid !== 'undefined' ? NavGrid : require('./navgrid.js');
+        const engine = this.engine;
+        const clearance = Math.max(...this.enemies.map(enemy => enemy.radius));
+        const staticObstacles = engine.obstacles.filter(obstacle => !engine.dynamicObstacles.includes(obstacle));
+        
+        this.grid = new GridClass(engine.bounds.width, engine.bounds.height, this.cellSize);
+        this.grid.build(
+            [...engine.walls, ...staticObstacles],
+            engine.holes,
+            clearance,
+            (vertices, x, y) => engine.containsPoint(vertices, x, y)
+        );
+    }
+    
+    /**
+     * Devuelve los enemigos a su sitio, patrullando
+     */
+    reset() {
+        this.enemies.forEach(enemy => {
+            enemy.x = enemy.prevX = enemy.homeX;
+            enemy.y = enemy.prevY = enemy.homeY;
+            enemy.state = 'patrol';
+            enemy.path = [];
+            enemy.patrolIndex = 0;
+            enemy.lastSeen = null;
+            enemy.nextRepath = 0;
+            enemy.stunnedUntil = 0;
+        });
+    }
+    
+    /**
+     * Decide qué hace cada enemigo y lo mueve
+     * @param {number} time - Segundos de simulación
+     * @param {number} dt - Duración del tick en segundos
+     * @param {Ball} ball - Bolita (null si no se la puede ver, por ejemplo al caer)
+     */
+    update(time, dt, ball) {
+        this.enemies.forEach(enemy => {
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+            
+            if (enemy.state === 'stunned') {
+                if (time < enemy.stunnedUntil) return;
+                this.setState(enemy, 'search');
+            }
+            
+            if (ball && this.canSee(enemy, ball)) {
+                enemy.lastSeen = { x: ball.x, y: ball.y };
+                if (enemy.state !== 'chase' || time >= enemy.nextRepath) {
+                    this.setState(enemy, 'chase');
+                    enemy.path = this.grid.findPath(enemy, enemy.lastSeen) || [];
+                    enemy.nextRepath = time + this.repathInterval;
+                }
+            } else if (enemy.state === 'chase') {
+                // La ha perdido: ir a donde la vio por última vez
+                this.setState(enemy, 'search');
+                enemy.path = this.grid.findPath(enemy, enemy.lastSeen) || [];
+            } else if (enemy.state === 'search' && enemy.path.length === 0) {
+                this.setState(enemy, 'patrol');
+            }
+            
+            if (enemy.state === 'patrol' && enemy.path.length === 0) {
+                enemy.path = this.getPatrolPath(enemy);
+            }
+            
+            this.moveAlongPath(enemy, enemy.speed * dt);
+        });
+    }
+    
+    /**
+     * @param {Object} enemy - Enemigo
+     * @param {Ball} ball - Bolita
+     * @returns {boolean} - true si la bolita está en su radio de visión y sin muros en medio
+     */
+    canSee(enemy, ball) {
+        const dx = ball.x - enemy.x;
+        const dy = ball.y - enemy.y;
+        if (dx * dx + dy * dy > enemy.sightRadius * enemy.sightRadius) return false;
+        
+        return this.grid.hasLineOfSight(enemy, ball);
+    }
+    
+    /**
+     * Camino hasta el siguiente punto de la ruta (o de vuelta a casa si no tiene)
+     * @param {Object} enemy - Enemigo
+     * @returns {Array} - Puntos {x, y}
+     */
+    getPatrolPath(enemy) {
+        const home = { x: enemy.homeX, y: enemy.homeY };
+        
+        if (enemy.patrol.length === 0) {
+            const atHome = Math.abs(enemy.x - home.x) < 1 && Math.abs(enemy.y - home.y) < 1;
+            return atHome ? [] : (this.grid.findPath(enemy, home) || []);
+        }
+        
+        const target = enemy.patrol[enemy.patrolIndex];
+        enemy.patrolIndex = (enemy.patrolIndex + 1) % enemy.patrol.length;
+        return this.grid.findPath(enemy, target) || [];
+    }
+    
+    /**
+     * Avanza un enemigo por su camino
+     * @param {Object} enemy - Enemigo
+     * @param {number} distance - Distancia que puede recorrer este tick
+     */
+    moveAlongPath(enemy, distance) {
+        while (distance > 0 && enemy.path.length > 0) {
+            const target = enemy.path[0];
+            const dx = target.x - enemy.x;
+            const dy = target.y - enemy.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            
+            if (length <= distance) {
+                enemy.x = target.x;
+                enemy.y = target.y;
+                enemy.path.shift();
+                distance -= length;
+            } else {
+                enemy.x += dx / length * distance;
+                enemy.y += dy / length * distance;
+                distance = 0;
+            }
+        }
+    }
+    
+    /**
+     * Cambia el estado de un enemigo y lo anuncia
+     * @param {Object} enemy - Enemigo
+     * @param {string} state - patrol, chase, search o stunned
+     */
+    setState(enemy, state) {
+        if (enemy.state === state) return;
+        
+        const previous = enemy.state;
+        enemy.state = state;
+        this.engine.emit('enemyState', { enemy, state, previous });
+    }
+    
+    /**
+     * Comprueba si algún enemigo toca la bolita. Un golpe la empuja lejos del
+     * enemigo y lo deja aturdido
+     * @param {Ball} ball - Bolita
+     * @param {number} time - Segundos de simulación
+     */
+    check(ball, time) {
+        this.enemies.forEach(enemy => {
+            if (enemy.state === 'stunned') return;
+            
+            const dx = ball.x - enemy.x;
+            const dy = ball.y - enemy.y;
+            const reach = ball.radius + enemy.radius;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared >= reach * reach) return;
+            
+            const distance = Math.sqrt(distanceSquared) || 1;
+            const normalX = distanceSquared > 0 ? dx / distance : 0;
+            const normalY = distanceSquared > 0 ? dy / distance : -1;
+            const impactSpeed = Math.max(this.knockback, Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy));
+            
+            ball.vx = normalX * this.knockback;
+            ball.vy = normalY * this.knockback;
+            
+            enemy.path = [];
+            enemy.stunnedUntil = time + this.stunDuration;
+            this.setState(enemy, 'stunned');
+            
+            this.engine.emit('enemyHit', {
+                enemy,
+                contact: {
+                    obstacle: enemy,
+                    x: enemy.x + normalX * enemy.radius,
+                    y: enemy.y + normalY * enemy.radius,
+                    normalX,
+                    normalY,
+                    impactSpeed
+                }
+            });
+        });
+    }
+    
+    /**
+     * Obtiene información de debug de los enemigos
+     * @returns {Object} - Información de debug
+     */
+    getDebugInfo() {
+        return {
+            enemyCount: this.enemies.length,
+            enemies: this.enemies.map(enemy => ({
+                id: enemy.id,
+                state: enemy.state,
+                x: enemy.x,
+                y: enemy.y,
+                pathLength: enemy.path.length
+            }))
+        };
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnemySystem;
+}
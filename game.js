@@ -8,19 +8,34 @@ class TiltRunnerGame {
         // Sistemas del juego
         this.ball = null;
         this.physics = null;
+        this.renderer = null;
         this.controls = null;
         this.ui = null;
+        this.levelLoader = null;
+        this.progress = null;
+        this.score = null;
+        this.calibrationStore = null;
+        
+        // Campaña y nivel cargado actualmente (ya validado)
+        this.campaign = null;
+        this.levelIndex = 0;
+        this.level = null;
         
         // Estado del juego
-        this.gameState = 'menu'; // menu, playing, paused, victory, gameOver
+        this.gameState = 'menu'; // menu, playing, paused, restarting, victory, gameOver
         this.isInitialized = false;
         
+        // Vidas que quedan y hasta cuándo (reloj de la física) los golpes no cuentan
+        this.lives = 0;
+        this.invulnerableUntil = 0;
+        
+        // Tiempos parciales de la partida: [{id, time}] por punto de control
+        this.splits = [];
+        
         // Configuración
         this.config = {
-            ballStartX: 50,
-            ballStartY: 50,
-            ballRadius: 12,
-            gameTime: 60
+            campaignUrl: 'levels/campaign.json',
+            tickRate: 60 // Ticks de física por segundo
         };
         
         // Efectos visuales
@@ -47,7 +62,7 @@ class TiltRunnerGame {
             // Inicializar sistemas
             this.initializeUI();
             this.initializePhysics();
-            this.initializeBall();
+            this.initializeRenderer();
             this.initializeControls();
             
             // Configurar eventos del juego
@@ -56,6 +71,12 @@ class TiltRunnerGame {
             // Configurar eventos de redimensionamiento
             this.setupResizeHandler();
             
+            // Cargar la campaña y continuar donde se dejó
+            this.levelLoader = new LevelLoader();
+            this.progress = new ProgressStore();
+            this.score = new ScoreKeeper();
+            await this.loadCampaign(this.config.campaignUrl);
+            
             this.isInitialized = true;
             console.log('✅ Tilt Runner inicializado correctamente');
             
@@ -75,7 +96,35 @@ class TiltRunnerGame {
         this.ui.onGamePause = () => this.pauseGame();
         this.ui.onGameResume = () => this.resumeGame();
         this.ui.onGameRestart = () => this.restartGame();
-        this.ui.onTimeUp = () => this.gameOver();
+        this.ui.onTimeUp = () => this.gameOver('time');
+        this.ui.onTimerTick = () => this.updateScore();
+        this.ui.onPermissionRequest = () => this.controls.requestOrientationPermission();
+        this.ui.onLevelSelect = (index) => this.selectLevel(index);
+        
+        // Pantalla de calibración
+        this.ui.onCalibrationOpen = () => ({
+            name: this.calibrationStore.getActiveProfile(),
+            profile: this.controls.getProfile(),
+            filter: this.controls.sensorFilter.getSettings(),
+            gamepadDeadZone: this.controls.gamepad.deadZone
+        });
+        this.ui.onProfileSelect = (name) => this.selectCalibrationProfile(name);
+        this.ui.onCalibrationChange = (settings, final) => this.controls.setTiltSettings(settings, final);
+        this.ui.onCalibrationZero = () => this.controls.calibrate() ? this.controls.getProfile() : null;
+        this.ui.onCalibrationPreview = () => {
+            const { beta, gamma } = this.controls.orientation;
+            const tilt = this.controls.mapTilt(beta, gamma);
+            return {
+                available: this.controls.orientationReceived,
+                beta,
+                gamma,
+                x: tilt.x,
+                y: tilt.y,
+                sampleRate: Math.round(this.controls.sensorFilter.sampleRate)
+            };
+        };
+        this.ui.onFilterChange = (settings, final) => this.controls.setFilterSettings(settings, final);
+        this.ui.onGamepadDeadZoneChange = (deadZone, final) => this.controls.setGamepadDeadZone(deadZone, final);
     }
     
     /**
@@ -83,28 +132,105 @@ class TiltRunnerGame {
      */
     initializePhysics() {
         this.physics = new PhysicsEngine();
+        this.physics.setTickRate(this.config.tickRate);
     }
     
     /**
-     * Inicializa la bolita del jugador
+     * Inicializa la vista DOM y la conecta al motor de físicas
      */
-    initializeBall() {
-        // Calcular posición inicial basada en el contenedor del juego
-        const gameContainer = document.querySelector('#gameArea .border-neon-blue');
-        if (gameContainer) {
-            const rect = gameContainer.getBoundingClientRect();
-            this.config.ballStartX = this.config.ballStartX;
-            this.config.ballStartY = this.config.ballStartY;
+    initializeRenderer() {
+        this.renderer = new DOMRenderer();
+        this.renderer.attach(this.physics);
+    }
+    
+    /**
+     * Carga la lista de niveles de la campaña y el nivel con el que continuar
+     * @param {string} url - Ruta del JSON de campaña
+     */
+    async loadCampaign(url) {
+        try {
+            this.campaign = await this.levelLoader.loadCampaign(url);
+        } catch (error) {
+            console.error('❌ Error cargando la campaña:', error);
+            this.ui.showError(error instanceof LevelValidationError ?
+                error.message :
+                'No se pudo cargar la campaña');
+            return;
+        }
+        
+        console.log(`📚 Campaña cargada: ${this.campaign.levels.length} niveles`);
+        this.updateLevelStates();
+        await this.selectLevel(this.progress.getResumeIndex(this.campaign.levels));
+    }
+    
+    /**
+     * Carga un nivel de la campaña
+     * @param {number} index - Posición del nivel
+     * @returns {Promise<boolean>} - true si el nivel se cargó
+     */
+    async selectLevel(index) {
+        const entry = this.campaign?.levels[index];
+        if (!entry || this.progress.getLevelState(this.campaign.levels, index) === 'locked') {
+            return false;
         }
         
-        this.ball = new Ball(
-            this.config.ballStartX,
-            this.config.ballStartY,
-            this.config.ballRadius
-        );
+        if (!(await this.loadLevel(entry.file))) {
+            return false;
+        }
         
-        // Conectar la bolita con el motor de físicas
-        this.physics.setBall(this.ball);
+        this.levelIndex = index;
+        this.progress.setLastLevel(entry.id);
+        this.ui.setCurrentLevel(index, this.level.name);
+        return true;
+    }
+    
+    /**
+     * Envía a la UI el estado de cada nivel de la campaña
+     */
+    updateLevelStates() {
+        const levels = this.campaign.levels;
+        
+        this.ui.setLevels(levels.map((level, index) => ({
+            index,
+            id: level.id,
+            name: level.name,
+            state: this.progress.getLevelState(levels, index),
+            bestTime: this.progress.getBestTime(level.id),
+            bestScore: this.progress.getBestScore(level.id),
+            stars: this.progress.getStars(level.id)
+        })));
+    }
+    
+    /**
+     * Carga un nivel JSON, lo valida y construye su mundo
+     * @param {string|Object} source - Ruta del nivel o nivel como objeto
+     * @returns {Promise<boolean>} - true si el nivel se cargó
+     */
+    async loadLevel(source) {
+        try {
+            const level = await this.levelLoader.load(source);
+            const world = this.levelLoader.toWorld(level);
+            
+            this.level = level;
+            this.physics.loadWorld(world);
+            this.ball = this.physics.ball;
+            this.renderer.buildWorld(world);
+            this.ui.setTimeLimit(level.timeLimit);
+            this.score.setRules(level.scoring);
+            this.score.reset();
+            this.updateScore();
+            this.resetLives();
+            
+            console.log(`🗺️ Nivel cargado: ${level.name} (${level.id})`);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error cargando el nivel:', error);
+            this.ui.showError(error instanceof LevelValidationError ?
+                error.message :
+                'No se pudo cargar el nivel');
+            return false;
+        }
     }
     
     /**
@@ -115,6 +241,46 @@ class TiltRunnerGame {
         
         // Conectar controles con el motor de físicas
         this.controls.setPhysicsEngine(this.physics);
+        
+        // Calibración guardada para la postura en uso; cada cambio se guarda
+        this.calibrationStore = new CalibrationStore();
+        this.controls.applyProfile(this.calibrationStore.getProfile());
+        this.controls.onCalibrationChange = (profile) => this.calibrationStore.saveProfile(profile);
+        
+        // Filtro de sensores guardado para este dispositivo
+        this.controls.setFilterSettings(this.calibrationStore.getFilterSettings(), false);
+        this.controls.onFilterChange = (settings) => this.calibrationStore.saveFilterSettings(settings);
+        
+        // Zona muerta del mando guardada para este dispositivo
+        this.controls.setGamepadDeadZone(this.calibrationStore.getGamepadSettings().deadZone, false);
+        this.controls.onGamepadChange = (settings) => this.calibrationStore.saveGamepadSettings(settings);
+        
+        // Botones del mando: pausa durante la partida y reinicio también
+        // desde las pantallas de fin
+        this.controls.onPauseRequest = () => {
+            if (this.ui.currentScreen === 'game') {
+                this.ui.togglePause();
+            }
+        };
+        this.controls.onRestartRequest = () => {
+            if (['game', 'gameOver', 'victory'].includes(this.ui.currentScreen)) {
+                this.ui.restartGame();
+            }
+        };
+    }
+    
+    /**
+     * Cambia de postura y carga su calibración en los controles
+     * @param {string} name - Postura (sitting, standing, lying)
+     * @returns {Object} - Perfil de la postura
+     */
+    selectCalibrationProfile(name) {
+        const profile = this.calibrationStore.setActiveProfile(name);
+        this.controls.applyProfile(profile);
+        this.controls.applyOrientationLock();
+        
+        console.log(`📐 Calibración: ${this.calibrationStore.profileNames[name] || name}`);
+        return profile;
     }
     
     /**
@@ -122,12 +288,55 @@ class TiltRunnerGame {
      */
     setupGameEvents() {
         // Evento cuando se toca un obstáculo
-        document.addEventListener('obstacleHit', (event) => {
-            this.handleObstacleHit(event.detail.obstacle);
+        this.physics.on('obstacleHit', ({ obstacle, contact }) => {
+            this.handleObstacleHit(obstacle, contact);
+        });
+        
+        // Evento cuando un enemigo alcanza la bolita
+        this.physics.on('enemyHit', ({ enemy, contact }) => {
+            this.handleEnemyHit(enemy, contact);
+        });
+        
+        // Evento cuando un peligro encendido alcanza la bolita
+        this.physics.on('hazardHit', ({ hazard, contact }) => {
+            this.handleHazardHit(hazard, contact);
+        });
+        
+        // Evento cuando la bolita cae en un agujero
+        this.physics.on('holeFall', ({ hole }) => {
+            this.handleHoleFall(hole);
+        });
+        
+        // Evento cuando la bolita atraviesa un portal
+        this.physics.on('teleport', ({ portal, target, from }) => {
+            this.handleTeleport(portal, target, from);
+        });
+        
+        // Evento cuando actúa un disparador del nivel
+        this.physics.on('trigger', ({ trigger, released }) => {
+            this.handleTrigger(trigger, released);
+        });
+        
+        // Evento cuando se toca un punto de control
+        this.physics.on('checkpoint', ({ checkpoint }) => {
+            this.handleCheckpoint(checkpoint);
+        });
+        
+        // Eventos cuando empieza o termina un potenciador
+        this.physics.on('powerup', ({ pickup, refreshed }) => {
+            this.handlePowerUp(pickup, refreshed);
+        });
+        this.physics.on('powerupEnd', ({ type }) => {
+            this.handlePowerUpEnd(type);
+        });
+        
+        // Evento cuando se recoge una moneda o estrella
+        this.physics.on('collect', ({ item }) => {
+            this.handleCollect(item);
         });
         
         // Evento cuando se llega a la meta
-        document.addEventListener('goalReached', () => {
+        this.physics.on('goalReached', () => {
             this.handleGoalReached();
         });
         
@@ -164,12 +373,9 @@ class TiltRunnerGame {
      * Maneja el redimensionamiento de la ventana
      */
     handleResize() {
-        if (this.physics) {
-            this.physics.resize();
-        }
-        
-        if (this.ball) {
-            this.ball.updateBounds();
+        if (this.renderer) {
+            // Reescalar el tablero; el mundo no cambia de tamaño
+            this.renderer.layout();
         }
     }
     
@@ -181,6 +387,9 @@ class TiltRunnerGame {
         
         this.gameState = 'playing';
         
+        // La pantalla de juego acaba de hacerse visible: medir el tablero
+        this.handleResize();
+        
         // Resetear elementos del juego
         this.resetGame();
         
@@ -232,15 +441,13 @@ class TiltRunnerGame {
     restartGame() {
         console.log('🔄 Reiniciando juego...');
         
-        // Detener sistemas
+        // Detener sistemas; UIManager vuelve a llamar a startGame cuando
+        // la pantalla de juego está visible
         this.physics.stop();
         this.controls.disable();
         
         // Resetear estado
         this.resetGame();
-        
-        // Iniciar de nuevo
-        this.startGame();
     }
     
     /**
@@ -249,26 +456,260 @@ class TiltRunnerGame {
     resetGame() {
         // Resetear físicas
         this.physics.reset();
+        this.renderer.reset();
         
         // Limpiar efectos visuales
         this.clearVisualEffects();
         
         // Resetear trails de la bolita
         this.ballTrails = [];
+        
+        // Empezar la puntuación de cero
+        this.score?.reset();
+        this.updateScore();
+        
+        this.resetLives();
+        this.splits = [];
+        
+        // Los potenciadores ya se quitaron con la física; falta el temporizador
+        this.ui.setTimerFrozen(false);
+        this.ui.setPowerUps([]);
+    }
+    
+    /**
+     * Devuelve las vidas del nivel y quita la invulnerabilidad
+     */
+    resetLives() {
+        this.lives = this.level?.lives || 0;
+        this.invulnerableUntil = 0;
+        this.renderer.setBallInvulnerable(false);
+        
+        // El contador solo se muestra si algún castigo quita vidas
+        const usesLives = [this.level?.holePenalty, this.level?.obstaclePenalty]
+            .some(penalty => penalty?.type === 'life');
+        this.ui.setLives(this.lives, usesLives);
+    }
+    
+    /**
+     * Recalcula la puntuación con el tiempo que queda y la muestra en el HUD
+     * @returns {Object|null} - Puntuación (ver ScoreKeeper.compute)
+     */
+    updateScore() {
+        if (!this.score) return null;
+        
+        const score = this.score.compute(this.ui.getRemainingTime());
+        this.ui.setScore(score);
+        return score;
     }
     
     /**
      * Maneja cuando se toca un obstáculo
      * @param {Object} obstacle - Obstáculo tocado
+     * @param {Object} contact - Punto de contacto y velocidad de impacto
      */
-    handleObstacleHit(obstacle) {
-        console.log('💥 Obstáculo tocado');
+    handleObstacleHit(obstacle, contact) {
+        console.log(`💥 Obstáculo tocado (impacto ${contact.impactSpeed.toFixed(1)})`);
         
         // Crear efecto visual de impacto
-        this.createImpactEffect(obstacle);
+        this.createImpactEffect(obstacle, contact);
+        
+        this.registerHit();
+    }
+    
+    /**
+     * Maneja cuando un enemigo alcanza la bolita: cuenta como un golpe
+     * @param {Object} enemy - Enemigo
+     * @param {Object} contact - Punto de contacto y velocidad de impacto
+     */
+    handleEnemyHit(enemy, contact) {
+        console.log(`👾 Enemigo ${enemy.id} alcanza la bolita`);
+        
+        this.createImpactEffect(enemy, contact);
+        
+        this.registerHit();
+    }
+    
+    /**
+     * Maneja cuando un rayo, un bloque o unos pinchos encendidos alcanzan la
+     * bolita: cuenta como un golpe
+     * @param {Object} hazard - Peligro
+     * @param {Object} contact - Punto de contacto y velocidad de impacto
+     */
+    handleHazardHit(hazard, contact) {
+        console.log(`⚡ Peligro ${hazard.id} (${hazard.type}) alcanza la bolita`);
+        
+        this.createImpactEffect(hazard, contact);
         
-        // Penalización de tiempo (opcional)
-        // this.ui.gameTimer.remaining = Math.max(0, this.ui.gameTimer.remaining - 2);
+        this.registerHit();
+    }
+    
+    /**
+     * Cuenta un golpe: resta puntos y aplica el castigo de obstáculos del nivel
+     */
+    registerHit() {
+        // Recién perdida una vida o con escudo, los golpes no cuentan
+        if (this.isInvulnerable() || this.physics.powerups?.isActive('shield')) return;
+        
+        // Cada golpe resta puntos
+        this.score.addHit();
+        this.updateScore();
+        
+        this.applyPenalty(this.level?.obstaclePenalty);
+    }
+    
+    /**
+     * Maneja cuando la bolita cae en un agujero aplicando el castigo del nivel
+     * @param {Object} hole - Agujero en el que cayó
+     */
+    handleHoleFall(hole) {
+        console.log(`🕳️ Caída en agujero ${hole.id}`);
+        
+        this.applyPenalty(this.level?.holePenalty);
+    }
+    
+    /**
+     * Aplica el castigo de un golpe o una caída (ver "Castigos" en levels.js)
+     * @param {Object} penalty - {type, seconds?, invulnerability?}
+     */
+    applyPenalty(penalty) {
+        if (this.gameState !== 'playing' || !penalty) return;
+        
+        switch (penalty.type) {
+            case 'time':
+                this.ui.applyTimePenalty(penalty.seconds);
+                break;
+            case 'life':
+                this.loseLife(penalty.invulnerability);
+                break;
+            case 'restart':
+                this.restartLevel();
+                break;
+        }
+    }
+    
+    /**
+     * Quita una vida; sin vidas, la partida termina
+     * @param {number} invulnerability - Segundos en los que los golpes no cuentan
+     */
+    loseLife(invulnerability) {
+        this.lives = Math.max(0, this.lives - 1);
+        this.ui.setLives(this.lives);
+        console.log(`💔 Vida perdida (quedan ${this.lives})`);
+        
+        if (this.lives === 0) {
+            this.ui.handleOutOfLives();
+            this.gameOver('lives');
+            return;
+        }
+        
+        this.invulnerableUntil = this.physics.simulationTime + invulnerability;
+        this.renderer.setBallInvulnerable(invulnerability > 0);
+    }
+    
+    /**
+     * @returns {boolean} - true mientras los golpes no quitan vidas
+     */
+    isInvulnerable() {
+        return this.physics.simulationTime < this.invulnerableUntil;
+    }
+    
+    /**
+     * Vuelve a empezar como castigo: desde el último punto de control si se
+     * ha tocado alguno o, si no, el nivel entero. Esto último se hace fuera
+     * del paso de física que lo provoca para no resetear el motor a mitad de paso
+     */
+    restartLevel() {
+        if (this.physics.lastCheckpoint) {
+            console.log(`⏮️ Castigo: vuelta a ${this.physics.lastCheckpoint.id}`);
+            this.physics.respawnBall();
+            return;
+        }
+        
+        console.log('⏮️ Castigo: vuelta a empezar');
+        
+        this.gameState = 'restarting';
+        this.physics.stop();
+        this.controls.disable();
+        
+        setTimeout(() => this.ui.restartGame(), 0);
+    }
+    
+    /**
+     * Maneja cuando la bolita atraviesa un portal
+     * @param {Object} portal - Portal de entrada
+     * @param {Object} target - Portal de salida
+     * @param {Object} from - Punto de entrada {x, y}
+     */
+    handleTeleport(portal, target, from) {
+        console.log(`🌀 Portal ${portal.id} → ${target.id}`);
+        
+        this.createWarpEffect(from, this.ball.getPosition());
+    }
+    
+    /**
+     * Maneja cuando se recoge una moneda o estrella
+     * @param {Object} item - Coleccionable recogido
+     */
+    handleCollect(item) {
+        console.log(`${item.type === 'star' ? '⭐' : '🪙'} ${item.id} (+${item.value})`);
+        
+        this.score.addCollectible(item);
+        this.updateScore();
+    }
+    
+    /**
+     * Maneja cuando se recoge un potenciador
+     * @param {Object} pickup - Potenciador recogido
+     * @param {boolean} refreshed - true si ya estaba activo y solo se renueva
+     */
+    handlePowerUp(pickup, refreshed) {
+        console.log(`⚡ Potenciador ${pickup.type}${refreshed ? ' (renovado)' : ''}`);
+        
+        if (pickup.type === 'freeze') {
+            this.ui.setTimerFrozen(true);
+        }
+    }
+    
+    /**
+     * Maneja cuando termina un potenciador
+     * @param {string} type - Tipo de potenciador
+     */
+    handlePowerUpEnd(type) {
+        console.log(`⌛ Fin del potenciador ${type}`);
+        
+        if (type === 'freeze') {
+            this.ui.setTimerFrozen(false);
+        }
+    }
+    
+    /**
+     * Maneja cuando se toca un punto de control: anota el parcial y lo
+     * compara con el de la mejor partida
+     * @param {Object} checkpoint - Punto de control
+     */
+    handleCheckpoint(checkpoint) {
+        const time = this.ui.getElapsedTime();
+        const best = this.level ?
+            this.progress.getBestSplits(this.level.id).find(split => split.id === checkpoint.id) :
+            null;
+        
+        console.log(`🚩 Punto de control ${checkpoint.id}: ${time}s`);
+        
+        this.splits.push({ id: checkpoint.id, time });
+        this.ui.showSplit(checkpoint.index, time, best ? best.time : null);
+    }
+    
+    /**
+     * Maneja cuando actúa un disparador del nivel
+     * @param {Object} trigger - Disparador
+     * @param {boolean} released - true si es una placa que se ha dejado de pisar
+     */
+    handleTrigger(trigger, released) {
+        if (trigger.type === 'key') {
+            console.log(`🔑 Llave recogida: ${trigger.id}`);
+        } else if (!released) {
+            console.log(`🔘 Disparador ${trigger.id}`);
+        }
     }
     
     /**
@@ -283,8 +724,23 @@ class TiltRunnerGame {
         this.physics.stop();
         this.controls.disable();
         
+        // Puntuación final con el tiempo que sobra
+        const score = this.updateScore();
+        
+        // Guardar el progreso antes de mostrar la victoria, que ofrece el siguiente nivel
+        if (this.campaign && this.level) {
+            const records = this.progress.markCompleted(this.level.id, this.ui.getElapsedTime(), score, this.splits);
+            if (records.newBestTime) {
+                console.log('🏅 ¡Nuevo mejor tiempo!');
+            }
+            if (records.newBestScore) {
+                console.log(`🏆 ¡Nueva mejor puntuación: ${score.total}!`);
+            }
+            this.updateLevelStates();
+        }
+        
         // Mostrar pantalla de victoria
-        this.ui.handleVictory();
+        this.ui.handleVictory(score);
         
         // Crear efectos de celebración
         this.createVictoryEffects();
@@ -292,9 +748,10 @@ class TiltRunnerGame {
     
     /**
      * Maneja el game over
+     * @param {string} reason - Motivo: time (tiempo agotado) o lives (sin vidas)
      */
-    gameOver() {
-        console.log('💀 Game Over');
+    gameOver(reason = 'time') {
+        console.log(`💀 Game Over (${reason === 'lives' ? 'sin vidas' : 'tiempo agotado'})`);
         
         this.gameState = 'gameOver';
         
@@ -319,6 +776,17 @@ class TiltRunnerGame {
     visualEffectsLoop() {
         if (this.gameState !== 'playing') return;
         
+        // Cuenta atrás de los potenciadores en el HUD
+        if (this.physics.powerups) {
+            this.ui.setPowerUps(this.physics.powerups.getActive(this.physics.simulationTime));
+        }
+        
+        // Terminar el parpadeo cuando acaba la invulnerabilidad
+        if (this.invulnerableUntil && !this.isInvulnerable()) {
+            this.invulnerableUntil = 0;
+            this.renderer.setBallInvulnerable(false);
+        }
+        
         // Crear trail de la bolita
         this.createBallTrail();
         
@@ -335,7 +803,7 @@ class TiltRunnerGame {
     createBallTrail() {
         if (!this.ball || this.ball.getVelocity().speed < 1) return;
         
-        const position = this.ball.getPosition();
+        const position = this.renderer.worldToView(this.ball.x, this.ball.y);
         const gameContainer = document.querySelector('#gameArea .border-neon-blue');
         
         if (!gameContainer) return;
@@ -382,17 +850,20 @@ class TiltRunnerGame {
     /**
      * Crea efecto de impacto
      * @param {Object} obstacle - Obstáculo impactado
+     * @param {Object} contact - Punto de contacto y velocidad de impacto
      */
-    createImpactEffect(obstacle) {
-        if (!obstacle.element) return;
+    createImpactEffect(obstacle, contact) {
+        // Ondas más grandes cuanto más fuerte fue el golpe
+        const size = 30 + Math.min(1, contact.impactSpeed / this.ball.maxSpeed) * 50;
+        const position = this.renderer.worldToView(contact.x, contact.y);
         
         // Crear ondas de choque
         for (let i = 0; i < 3; i++) {
             setTimeout(() => {
                 const shockwave = document.createElement('div');
                 shockwave.className = 'absolute border-2 border-neon-pink rounded-full pointer-events-none';
-                shockwave.style.left = `${obstacle.x + obstacle.width / 2}px`;
-                shockwave.style.top = `${obstacle.y + obstacle.height / 2}px`;
+                shockwave.style.left = `${position.x}px`;
+                shockwave.style.top = `${position.y}px`;
                 shockwave.style.width = '0px';
                 shockwave.style.height = '0px';
                 shockwave.style.transform = 'translate(-50%, -50%)';
@@ -404,7 +875,7 @@ class TiltRunnerGame {
                     // Animar la onda de choque
                     shockwave.animate([
                         { width: '0px', height: '0px', opacity: 1 },
-                        { width: '60px', height: '60px', opacity: 0 }
+                        { width: `${size}px`, height: `${size}px`, opacity: 0 }
                     ], {
                         duration: 300,
                         easing: 'ease-out'
@@ -418,6 +889,50 @@ class TiltRunnerGame {
         }
     }
     
+    /**
+     * Crea efecto de teletransporte: anillos que se cierran en la entrada y
+     * se abren en la salida
+     * @param {Object} from - Punto de entrada {x, y}
+     * @param {Object} to - Punto de salida {x, y}
+     */
+    createWarpEffect(from, to) {
+        const gameContainer = document.querySelector('#gameArea .border-neon-blue');
+        if (!gameContainer) return;
+        
+        const size = 60;
+        const rings = [
+            { position: this.renderer.worldToView(from.x, from.y), from: size, to: 0 },
+            { position: this.renderer.worldToView(to.x, to.y), from: 0, to: size }
+        ];
+        
+        rings.forEach(ring => {
+            for (let i = 0; i < 3; i++) {
+                setTimeout(() => {
+                    const warp = document.createElement('div');
+                    warp.className = 'absolute border-2 border-neon-purple rounded-full pointer-events-none';
+                    warp.style.left = `${ring.position.x}px`;
+                    warp.style.top = `${ring.position.y}px`;
+                    warp.style.transform = 'translate(-50%, -50%)';
+                    
+                    gameContainer.appendChild(warp);
+                    
+                    // Animar el anillo
+                    warp.animate([
+                        { width: `${ring.from}px`, height: `${ring.from}px`, opacity: 1 },
+                        { width: `${ring.to}px`, height: `${ring.to}px`, opacity: 0 }
+                    ], {
+                        duration: 300,
+                        easing: ring.to ? 'ease-out' : 'ease-in'
+                    }).onfinish = () => {
+                        if (warp.parentNode) {
+                            warp.parentNode.removeChild(warp);
+                        }
+                    };
+                }, i * 80);
+            }
+        });
+    }
+    
     /**
      * Crea efectos de victoria
      */
@@ -506,6 +1021,7 @@ class TiltRunnerGame {
             gameState: this.gameState,
             isInitialized: this.isInitialized,
             config: this.config,
+            level: this.level?.id,
             physics: this.physics?.getDebugInfo(),
             controls: this.controls?.getDebugInfo(),
             ballTrails: this.ballTrails.length
@@ -530,7 +1046,7 @@ class TiltRunnerGame {
                         event.preventDefault();
                         break;
                     case 'KeyR':
-                        this.restartGame();
+                        this.ui.restartGame();
                         event.preventDefault();
                         break;
                     case 'KeyV':
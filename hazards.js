@@ -0,0 +1,196 @@
+/**
+ * Tilt Runner - Hazard System
+ * Peligros que se encienden y se apagan con un ritmo fijo del reloj de la
+ * física (así que se congelan al pausar, como los obstáculos móviles):
+ *   laser   - rayo entre dos puntos; se atraviesa, pero quema si está encendido
+ *   crusher - bloque que cae: encendido es sólido y aplasta si cae encima
+ *   spikes  - pinchos que salen del suelo; se pueden pisar mientras están recogidos
+ *
+ * Cada ciclo empieza apagado ("off" segundos, con un aviso de "warning"
+ * segundos al final) y sigue encendido ("on" segundos). Un peligro golpea
+ * la bolita como mucho una vez por ciclo
+ *
+ * Estados: idle (apagado), warning (a punto de encenderse), active (encendido)
+ */
+
+class HazardSystem {
+    /**
+     * @param {PhysicsEngine} engine - Motor con la bolita
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.hazards = [];
+    }
+    
+    /**
+     * Prepara los peligros de un mundo recién cargado
+     * @param {Array} hazards - [{id, type, on, off, phase, warning, x1, y1, x2, y2,
+     *                           thickness (laser) | shape, x, y, width, height, points}]
+     */
+    load(hazards = []) {
+        this.hazards = hazards.map((hazard, index) => {
+            const laser = hazard.type === 'laser';
+            
+            return {
+                id: hazard.id || `hazard-${index}`,
+                type: hazard.type,
+                // Se comporta como un muro u obstáculo para la colisión; solo
+                // choca ("open" a false) mientras está encendido
+                kind: 'hazard',
+                vertices: laser ?
+                    [{ x: hazard.x1, y: hazard.y1 }, { x: hazard.x2, y: hazard.y2 }] :
+                    this.engine.createRegion(hazard),
+                rounding: laser ? hazard.thickness / 2 : 0,
+                solid: hazard.type === 'crusher',
+                on: hazard.on,
+                off: hazard.off,
+                phase: hazard.phase || 0,
+                warning: Math.min(hazard.warning || 0, hazard.off),
+                state: 'idle',
+                open: true,
+                cycle: 0,
+                hitCycle: -1
+            };
+        });
+        
+        this.reset();
+    }
+    
+    /**
+     * Peligros que chocan con la bolita (la fase amplia los guarda con los muros)
+     * @returns {Array}
+     */
+    getSolids() {
+        return this.hazards.filter(hazard => hazard.solid);
+    }
+    
+    /**
+     * Vuelve al estado del instante 0, sin avisar de los cambios
+     */
+    reset() {
+        this.hazards.forEach(hazard => {
+            const schedule = this.getSchedule(hazard, 0);
+            hazard.state = schedule.state;
+            hazard.cycle = schedule.cycle;
+            hazard.open = schedule.state !== 'active';
+            hazard.hitCycle = -1;
+        });
+    }
+    
+    /**
+     * Estado de un peligro en un instante
+     * @param {Object} hazard - Peligro
+     * @param {number} time - Segundos de simulación
+     * @returns {Object} - {state, cycle}: estado y número de ciclo
+     */
+    getSchedule(hazard, time) {
+        const period = hazard.on + hazard.off;
+        const elapsed = time + hazard.phase * period;
+        const local = elapsed % period;
+        
+        let state = 'active';
+        if (local < hazard.off - hazard.warning) {
+            state = 'idle';
+        } else if (local < hazard.off) {
+            state = 'warning';
+        }
+        
+        return { state, cycle: Math.floor(elapsed / period) };
+    }
+    
+    /**
+     * Enciende, avisa o apaga cada peligro según el reloj. Un bloque que se
+     * enciende sobre la bolita la aplasta
+     * @param {number} time - Segundos de simulación
+     * @param {Ball} ball - Bolita (null si no se la puede golpear, por ejemplo al caer)
+     */
+    update(time, ball) {
+        this.hazards.forEach(hazard => {
+            const schedule = this.getSchedule(hazard, time);
+            hazard.cycle = schedule.cycle;
+            if (schedule.state === hazard.state) return;
+            
+            const previous = hazard.state;
+            hazard.state = schedule.state;
+            hazard.open = schedule.state !== 'active';
+            this.engine.emit('hazardState', { hazard, state: hazard.state, previous });
+            
+            if (hazard.solid && !hazard.open && ball && ball.checkObstacleCollision(hazard)) {
+                this.hit(hazard, this.getContact(hazard, ball), time);
+            }
+        });
+    }
+    
+    /**
+     * Comprueba si la bolita toca un rayo o unos pinchos encendidos (los
+     * bloques chocan en el barrido de la bolita y llegan por hit)
+     * @param {Ball} ball - Bolita
+     * @param {number} time - Segundos de simulación
+     */
+    check(ball, time) {
+        this.hazards.forEach(hazard => {
+            if (hazard.solid || hazard.open || hazard.hitCycle === hazard.cycle) return;
+            
+            if (ball.checkObstacleCollision(hazard)) {
+                this.hit(hazard, this.getContact(hazard, ball), time);
+            }
+        });
+    }
+    
+    /**
+     * Anuncia un golpe de un peligro si no ha golpeado ya en este ciclo
+     * @param {Object} hazard - Peligro
+     * @param {Object} contact - Punto (x, y), normal e impactSpeed del golpe
+     * @param {number} time - Segundos de simulación
+     */
+    hit(hazard, contact, time) {
+        if (hazard.hitCycle === hazard.cycle) return;
+        
+        hazard.hitCycle = hazard.cycle;
+        this.engine.emit('hazardHit', { hazard, contact, time });
+    }
+    
+    /**
+     * Contacto entre la bolita y un peligro que la está tocando
+     * @param {Object} hazard - Peligro
+     * @param {Ball} ball - Bolita
+     * @returns {Object} - {obstacle, x, y, normalX, normalY, impactSpeed}
+     */
+    getContact(hazard, ball) {
+        const closest = ball.findClosestPoint(hazard);
+        let normalX = closest.normalX;
+        let normalY = closest.normalY;
+        
+        if (!closest.inside) {
+            const distance = closest.distance || 1;
+            normalX = (ball.x - closest.x) / distance;
+            normalY = (ball.y - closest.y) / distance;
+        }
+        
+        return {
+            obstacle: hazard,
+            x: closest.x,
+            y: closest.y,
+            normalX,
+            normalY,
+            impactSpeed: Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy)
+        };
+    }
+    
+    /**
+     * Obtiene información de debug de los peligros
+     * @returns {Object} - Información de debug
+     */
+    getDebugInfo() {
+        return {
+            hazardCount: this.hazards.length,
+            activeHazards: this.hazards.filter(hazard => hazard.state === 'active').map(hazard => hazard.id),
+            warningHazards: this.hazards.filter(hazard => hazard.state === 'warning').map(hazard => hazard.id)
+        };
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HazardSystem;
+}
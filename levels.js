@@ -0,0 +1,1227 @@
+/**
+ * Tilt Runner - Level Loader
+ * Carga y valida niveles en formato JSON versionado y los convierte en la
+ * descripción de mundo que entiende PhysicsEngine
+ *
+ * Formato (versión 1):
+ * {
+ *   "version": 1,
+ *   "id": "level-01",
+ *   "name": "Primer contacto",
+ *   "metadata": { "author": "...", "difficulty": "easy", "description": "..." },
+ *   "timeLimit": 60,
+ *   "bounds": { "width": 360, "height": 640 },
+ *   "ball": { "x": 50, "y": 50, "radius": 12 },
+ *   "goal": { "x": 300, "y": 88, "radius": 24 },
+ *   "obstacles": [
+ *     { "id": "o1", "x": 144, "y": 192, "width": 32, "height": 32,
+ *       "motion": { "type": "linear", "to": { "x": 240, "y": 192 }, "speed": 60,
+ *                   "phase": 0, "easing": "easeInOut" } }
+ *   ]
+ * }
+ *
+ * Movimientos de obstáculos (ver motion.js): static, linear {to},
+ * path {points}, pingpong {points} y orbit {radius, direction: cw | ccw}.
+ * Los móviles exigen "speed" (unidades por segundo); "phase" (0 a 1) y
+ * "easing" (linear, easeIn, easeOut, easeInOut) son opcionales
+ *
+ * Ids: los elementos sin "id" reciben uno generado (obstacle-0, wall-1...).
+ * Dentro de cada lista los ids no se pueden repetir
+ *
+ * Formas: "shape" es "rect" (por defecto, con width y height) o "polygon",
+ * con "points" convexos relativos a (x, y), que es también su pivote de giro.
+ * "angle" es el ángulo inicial en grados y "rotation" el giro:
+ * {type: none | spin | swing, speed (grados por segundo), direction: cw | ccw,
+ *  to (grados, para swing), phase, easing}
+ *
+ * Muros: "walls": [{id, points: [{x, y}, ...], thickness}]. Cada muro es una
+ * línea quebrada de al menos dos puntos con extremos redondeados; "thickness"
+ * es opcional (6 por defecto)
+ *
+ * Zonas de suelo: "zones": [{id, shape, x, y, width, height | points, material}].
+ * "material" es un preajuste (ice, mud, sand, bouncy) cuyos valores se pueden
+ * sustituir uno a uno con friction, acceleration, maxSpeed y bounce
+ * (por fotograma de referencia, como en Ball). Obstáculos y muros admiten
+ * "restitution" (0 a 2): su propio factor de rebote; más de 1 lanza la bolita
+ *
+ * Campos de fuerza: "fields": [...], con "strength" en unidades por segundo²
+ * (la inclinación máxima en escritorio equivale a unas 320):
+ *   wind      - {shape, x, y, width, height | points, angle}: empuja hacia
+ *               "angle" (grados, 0 hacia la derecha y 90 hacia abajo) dentro
+ *               de su región; sirve también como cinta transportadora
+ *   attractor - {x, y, radius, falloff}: tira hacia el centro (agujero negro
+ *               si se coloca sobre un agujero)
+ *   repeller  - {x, y, radius, falloff}: empuja hacia fuera
+ *   vortex    - {x, y, radius, falloff, direction: cw | ccw}: empuja en círculo
+ * "falloff" (constant, linear, quadratic) atenúa la fuerza hacia el borde
+ *
+ * Agujeros: "holes": [{id, x, y, radius}]. Si el centro de la bolita cruza
+ * el borde, cae y reaparece; "holePenalty" fija el castigo (por defecto 3 s)
+ *
+ * Castigos: "holePenalty" (caer en un agujero) y "obstaclePenalty" (golpear
+ * un obstáculo) admiten:
+ *   {type: "time", seconds}        - resta segundos enteros del tiempo
+ *   {type: "life", invulnerability} - quita una vida; durante "invulnerability"
+ *                                    segundos (1.5) los golpes no cuentan
+ *   {type: "restart"}              - vuelve a empezar el nivel
+ *   {type: "none"}                 - sin castigo
+ * Sin "obstaclePenalty" se usa el de la dificultad (metadata.difficulty):
+ * easy (o sin dificultad) sin castigo, medium 2 segundos y hard una vida.
+ * Otra dificultad es un error. "lives" (3) son las vidas con las que se
+ * empieza; sin ellas la partida termina
+ *
+ * Portales: "portals": [{id, x, y, radius, target, exitAngle, cooldown}].
+ * Al cruzar el borde, la bolita sale por el portal "target" (id de otro
+ * portal; dos portales que se apuntan forman una pareja) con su velocidad
+ * girada "exitAngle" grados. "cooldown" son los segundos que el portal y su
+ * destino quedan inactivos tras un viaje (por defecto 1)
+ *
+ * Puertas y disparadores (ver triggers.js): muros y obstáculos admiten
+ * "open" (empiezan abiertos, sin chocar), los obstáculos "active": false
+ * (su movimiento empieza parado) y la meta "locked": true (no cuenta hasta
+ * desbloquearla). "triggers": [{id, type, once, requires, actions}]:
+ *   enter | exit | plate - región {shape, x, y, width, height | points}
+ *   key                  - llave {x, y, radius}, se recoge al tocarla
+ *   timer                - {interval (segundos), phase (0 a 1)}
+ * "requires" es una lista de ids de llaves que hay que tener y "once" hace
+ * que solo actúe la primera vez. Cada acción es {type, target, duration}:
+ * open | close | toggle sobre un muro u obstáculo, start | stop sobre un
+ * obstáculo y unlock | lock sobre "goal"; "duration" (segundos) la deshace
+ *
+ * Coleccionables: "collectibles": [{id, type: coin | star, x, y, radius, value}].
+ * Se recogen al tocarlos; "radius" (8) y "value" (25 una moneda, 100 una
+ * estrella) son opcionales. "scoring": {secondValue, hitPenalty, stars: [dos, tres]}
+ * fija los puntos por segundo sobrante (10), los que resta cada golpe (15) y
+ * la puntuación para dos y tres estrellas; por defecto, el 40 % y el 70 % del
+ * máximo posible (todo el tiempo y todos los coleccionables)
+ *
+ * Puntos de control: "checkpoints": [{id, x, y, radius}]. Al tocar una
+ * bandera (radio 16 por defecto) la bolita pasa a reaparecer en ella tras
+ * caer en un agujero o recibir un castigo "restart", y se anota el tiempo
+ * parcial. El orden de la lista es el del recorrido
+ *
+ * Potenciadores (ver powerups.js): "powerups": [{id, type, x, y, radius, duration}]
+ * con type freeze (congela el tiempo), shrink (encoge la bolita), shield
+ * (los golpes no castigan) o boost (más velocidad). "radius" es 10 y
+ * "duration" (segundos) depende del tipo: 5, 8, 6 y 5
+ *
+ * Enemigos (ver enemies.js): "enemies": [{id, x, y, radius, speed, sightRadius, patrol}].
+ * Patrullan los puntos de "patrol" (o esperan en x, y) y persiguen a la
+ * bolita, rodeando muros y agujeros, cuando la ven a menos de "sightRadius"
+ * (150). "speed" va en unidades por segundo (70) y "radius" es 12. Tocar uno
+ * es un golpe: cuenta para la puntuación y aplica "obstaclePenalty"
+ *
+ * Peligros (ver hazards.js): "hazards": [{id, type, on, off, phase, warning, ...}]
+ * que se encienden "on" segundos y se apagan "off" (1.5 y 1.5), avisando
+ * "warning" segundos antes de encenderse (0.6, no más que "off"); "phase"
+ * (0 a 1) adelanta el ciclo, que empieza apagado:
+ *   laser   - {points: [a, b], thickness}: rayo entre dos puntos (grosor 4)
+ *   crusher - región {shape, x, y, width, height | points}: sólido al encenderse
+ *   spikes  - región {shape, x, y, width, height | points}: pinchos que se recogen
+ * Tocar uno encendido es un golpe, como un enemigo
+ *
+ * Campaña (lista ordenada de niveles, rutas relativas al archivo de campaña):
+ * {
+ *   "version": 1,
+ *   "name": "Campaña",
+ *   "levels": [
+ *     { "id": "level-01", "name": "Primer contacto", "file": "level-01.json" }
+ *   ]
+ * }
+ */
+
+/**
+ * Error de validación que indica qué campo del nivel es inválido
+ */
+class LevelValidationError extends Error {
+    /**
+     * @param {string} field - Ruta del campo, por ejemplo "obstacles[2].width"
+     * @param {string} message - Descripción del problema
+     */
+    constructor(field, message) {
+        super(`Nivel inválido: "${field}" ${message}`);
+        this.name = 'LevelValidationError';
+        this.field = field;
+    }
+}
+
+class LevelLoader {
+    constructor() {
+        // Versiones del formato que sabe leer este cargador
+        this.supportedVersions = [1];
+        
+        // Valores por defecto de campos opcionales
+        this.defaults = {
+            timeLimit: 60,
+            ballRadius: 12,
+            holePenalty: { type: 'time', seconds: 3 },
+            lives: 3,
+            invulnerability: 1.5,
+            wallThickness: 6,
+            portalCooldown: 1,
+            collectibleRadius: 8,
+            checkpointRadius: 16,
+            powerupRadius: 10,
+            powerupDurations: { freeze: 5, shrink: 8, shield: 6, boost: 5 },
+            enemy: { radius: 12, speed: 70, sightRadius: 150 },
+            hazard: { on: 1.5, off: 1.5, warning: 0.6, thickness: 4 },
+            collectibleValues: { coin: 25, star: 100 },
+            scoring: { secondValue: 10, hitPenalty: 15, stars: [0.4, 0.7] }
+        };
+        
+        // Tipos de movimiento de obstáculos y curvas de suavizado admitidos
+        this.motionTypes = ['static', 'linear', 'path', 'pingpong', 'orbit'];
+        this.rotationTypes = ['none', 'spin', 'swing'];
+        this.shapes = ['rect', 'polygon'];
+        this.penaltyTypes = ['time', 'life', 'restart', 'none'];
+        
+        // Castigo por golpear un obstáculo según la dificultad del nivel
+        this.difficultyPenalties = {
+            easy: { type: 'none' },
+            medium: { type: 'time', seconds: 2 },
+            hard: { type: 'life', invulnerability: 1.5 }
+        };
+        this.fieldTypes = ['wind', 'attractor', 'repeller', 'vortex'];
+        this.falloffs = ['constant', 'linear', 'quadratic'];
+        this.triggerTypes = ['enter', 'exit', 'plate', 'key', 'timer'];
+        this.hazardTypes = ['laser', 'crusher', 'spikes'];
+        
+        // Acciones de los disparadores y a qué elementos se aplican
+        this.actionTargets = {
+            open: ['wall', 'obstacle'],
+            close: ['wall', 'obstacle'],
+            toggle: ['wall', 'obstacle'],
+            start: ['obstacle'],
+            stop: ['obstacle'],
+            unlock: ['goal'],
+            lock: ['goal']
+        };
+        
+        // Materiales de suelo: sustituyen los valores de Ball mientras la
+        // bolita está dentro de la zona
+        this.materials = {
+            ice: { friction: 0.995, acceleration: 0.12, maxSpeed: 10, bounce: 0.7 },
+            mud: { friction: 0.82, acceleration: 0.2, maxSpeed: 2.5, bounce: 0.3 },
+            sand: { friction: 0.9, acceleration: 0.22, maxSpeed: 5, bounce: 0.5 },
+            bouncy: { friction: 0.95, acceleration: 0.3, maxSpeed: 8, bounce: 1.1 }
+        };
+        this.easings = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+    }
+    
+    /**
+     * Carga un nivel desde una URL/ruta de archivo o desde un objeto ya parseado
+     * @param {string|Object} source - Ruta del JSON o nivel como objeto
+     * @returns {Promise<Object>} - Nivel validado y con valores por defecto
+     */
+    async load(source) {
+        const data = typeof source === 'string' ? await this.readFile(source) : source;
+        return this.validate(data);
+    }
+    
+    /**
+     * Carga la lista ordenada de niveles de una campaña
+     * @param {string} path - Ruta del JSON de campaña
+     * @returns {Promise<Object>} - Campaña validada con rutas de nivel resueltas
+     */
+    async loadCampaign(path) {
+        const data = await this.readFile(path);
+        const basePath = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+        return this.validateCampaign(data, basePath);
+    }
+    
+    /**
+     * Valida una campaña y resuelve la ruta de cada nivel
+     * @param {Object} data - Campaña sin validar
+     * @param {string} basePath - Carpeta del archivo de campaña
+     * @returns {Object} - {version, name, levels: [{id, name, file}]}
+     * @throws {LevelValidationError} - Si algún campo es inválido
+     */
+    validateCampaign(data, basePath = '') {
+        this.requireObject(data, 'campaña');
+        
+        const version = this.requireNumber(data.version, 'version', { integer: true });
+        if (!this.supportedVersions.includes(version)) {
+            throw new LevelValidationError('version', `no soportada (se admite: ${this.supportedVersions.join(', ')})`);
+        }
+        
+        const levels = this.optionalArray(data.levels, 'levels').map((entry, index) => {
+            const field = `levels[${index}]`;
+            this.requireObject(entry, field);
+            
+            return {
+                id: this.requireString(entry.id, `${field}.id`),
+                name: this.requireString(entry.name, `${field}.name`),
+                file: basePath + this.requireString(entry.file, `${field}.file`)
+            };
+        });
+        
+        if (levels.length === 0) {
+            throw new LevelValidationError('levels', 'debe contener al menos un nivel');
+        }
+        
+        this.requireUniqueIds(levels, 'levels');
+        
+        return {
+            version,
+            name: this.requireString(data.name, 'name'),
+            levels
+        };
+    }
+    
+    /**
+     * Lee un archivo JSON: con fetch en el navegador, con fs en Node
+     * @param {string} path - URL o ruta del archivo
+     * @returns {Promise<Object>} - Contenido parseado
+     */
+    async readFile(path) {
+        if (typeof window === 'undefined') {
+            const fs = require('fs');
+            return JSON.parse(fs.readFileSync(path, 'utf8'));
+        }
+        
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`No se pudo cargar el nivel "${path}" (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Valida un nivel y devuelve una copia normalizada
+     * @param {Object} data - Nivel sin validar
+     * @returns {Object} - Nivel validado
+     * @throws {LevelValidationError} - Si algún campo es inválido
+     */
+    validate(data) {
+        this.requireObject(data, 'nivel');
+        
+        const version = this.requireNumber(data.version, 'version', { integer: true });
+        if (!this.supportedVersions.includes(version)) {
+            throw new LevelValidationError('version', `no soportada (se admite: ${this.supportedVersions.join(', ')})`);
+        }
+        
+        this.requireObject(data.bounds, 'bounds');
+        const bounds = {
+            width: this.requireNumber(data.bounds.width, 'bounds.width', { min: 1 }),
+            height: this.requireNumber(data.bounds.height, 'bounds.height', { min: 1 })
+        };
+        
+        this.requireObject(data.ball, 'ball');
+        const ball = {
+            x: this.requireNumber(data.ball.x, 'ball.x', { min: 0, max: bounds.width }),
+            y: this.requireNumber(data.ball.y, 'ball.y', { min: 0, max: bounds.height }),
+            radius: this.optionalNumber(data.ball.radius, 'ball.radius', this.defaults.ballRadius, { min: 1 })
+        };
+        
+        this.requireObject(data.goal, 'goal');
+        const goal = {
+            x: this.requireNumber(data.goal.x, 'goal.x', { min: 0, max: bounds.width }),
+            y: this.requireNumber(data.goal.y, 'goal.y', { min: 0, max: bounds.height }),
+            radius: this.requireNumber(data.goal.radius, 'goal.radius', { min: 1 }),
+            locked: this.optionalBoolean(data.goal.locked, 'goal.locked', false)
+        };
+        
+        const obstacles = this.optionalArray(data.obstacles, 'obstacles')
+            .map((obstacle, index) => this.validateObstacle(obstacle, `obstacles[${index}]`, index));
+        
+        const walls = this.optionalArray(data.walls, 'walls').map((wall, index) => {
+            const field = `walls[${index}]`;
+            this.requireObject(wall, field);
+            
+            const points = this.optionalArray(wall.points, `${field}.points`)
+                .map((point, i) => this.requirePoint(point, `${field}.points[${i}]`));
+            if (points.length < 2) {
+                throw new LevelValidationError(`${field}.points`, 'debe contener al menos dos puntos');
+            }
+            
+            return {
+                id: wall.id === undefined ? `wall-${index}` : this.requireString(wall.id, `${field}.id`),
+                points,
+                thickness: this.optionalNumber(wall.thickness, `${field}.thickness`, this.defaults.wallThickness, { min: 1 }),
+                restitution: this.optionalNumber(wall.restitution, `${field}.restitution`, undefined, { min: 0, max: 2 }),
+                open: this.optionalBoolean(wall.open, `${field}.open`, false)
+            };
+        });
+        
+        const zones = this.optionalArray(data.zones, 'zones')
+            .map((zone, index) => this.validateZone(zone, `zones[${index}]`, index));
+        
+        const fields = this.optionalArray(data.fields, 'fields')
+            .map((field, index) => this.validateField(field, `fields[${index}]`, index));
+        
+        const holes = this.optionalArray(data.holes, 'holes').map((hole, index) => {
+            const field = `holes[${index}]`;
+            this.requireObject(hole, field);
+            
+            return {
+                id: hole.id === undefined ? `hole-${index}` : this.requireString(hole.id, `${field}.id`),
+                x: this.requireNumber(hole.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(hole.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.requireNumber(hole.radius, `${field}.radius`, { min: 1 })
+            };
+        });
+        
+        const portals = this.optionalArray(data.portals, 'portals').map((portal, index) => {
+            const field = `portals[${index}]`;
+            this.requireObject(portal, field);
+            
+            return {
+                id: portal.id === undefined ? `portal-${index}` : this.requireString(portal.id, `${field}.id`),
+                x: this.requireNumber(portal.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(portal.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.requireNumber(portal.radius, `${field}.radius`, { min: 1 }),
+                target: this.requireString(portal.target, `${field}.target`),
+                exitAngle: this.optionalNumber(portal.exitAngle, `${field}.exitAngle`, 0),
+                cooldown: this.optionalNumber(portal.cooldown, `${field}.cooldown`, this.defaults.portalCooldown, { min: 0 })
+            };
+        });
+        portals.forEach((portal, index) => {
+            if (portal.target === portal.id || !portals.some(candidate => candidate.id === portal.target)) {
+                throw new LevelValidationError(`portals[${index}].target`, 'debe ser el id de otro portal');
+            }
+        });
+        
+        const collectibles = this.optionalArray(data.collectibles, 'collectibles').map((item, index) => {
+            const field = `collectibles[${index}]`;
+            this.requireObject(item, field);
+            
+            const types = Object.keys(this.defaults.collectibleValues);
+            const type = item.type === undefined ? 'coin' : item.type;
+            if (!types.includes(type)) {
+                throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${types.join(', ')}`);
+            }
+            
+            return {
+                id: item.id === undefined ? `collectible-${index}` : this.requireString(item.id, `${field}.id`),
+                type,
+                x: this.requireNumber(item.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(item.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.optionalNumber(item.radius, `${field}.radius`, this.defaults.collectibleRadius, { min: 1 }),
+                value: this.optionalNumber(item.value, `${field}.value`, this.defaults.collectibleValues[type], { min: 0, integer: true })
+            };
+        });
+        
+        const checkpoints = this.optionalArray(data.checkpoints, 'checkpoints').map((checkpoint, index) => {
+            const field = `checkpoints[${index}]`;
+            this.requireObject(checkpoint, field);
+            
+            return {
+                id: checkpoint.id === undefined ? `checkpoint-${index}` : this.requireString(checkpoint.id, `${field}.id`),
+                x: this.requireNumber(checkpoint.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(checkpoint.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.optionalNumber(checkpoint.radius, `${field}.radius`, this.defaults.checkpointRadius, { min: 1 })
+            };
+        });
+        
+        const powerups = this.optionalArray(data.powerups, 'powerups').map((powerup, index) => {
+            const field = `powerups[${index}]`;
+            this.requireObject(powerup, field);
+            
+            const types = Object.keys(this.defaults.powerupDurations);
+            if (!types.includes(powerup.type)) {
+                throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${types.join(', ')}`);
+            }
+            
+            return {
+                id: powerup.id === undefined ? `powerup-${index}` : this.requireString(powerup.id, `${field}.id`),
+                type: powerup.type,
+                x: this.requireNumber(powerup.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(powerup.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.optionalNumber(powerup.radius, `${field}.radius`, this.defaults.powerupRadius, { min: 1 }),
+                duration: this.optionalNumber(powerup.duration, `${field}.duration`, this.defaults.powerupDurations[powerup.type], { min: 0.1 })
+            };
+        });
+        
+        const enemyDefaults = this.defaults.enemy;
+        const enemies = this.optionalArray(data.enemies, 'enemies').map((enemy, index) => {
+            const field = `enemies[${index}]`;
+            this.requireObject(enemy, field);
+            
+            return {
+                id: enemy.id === undefined ? `enemy-${index}` : this.requireString(enemy.id, `${field}.id`),
+                x: this.requireNumber(enemy.x, `${field}.x`, { min: 0, max: bounds.width }),
+                y: this.requireNumber(enemy.y, `${field}.y`, { min: 0, max: bounds.height }),
+                radius: this.optionalNumber(enemy.radius, `${field}.radius`, enemyDefaults.radius, { min: 1 }),
+                speed: this.optionalNumber(enemy.speed, `${field}.speed`, enemyDefaults.speed, { min: 0 }),
+                sightRadius: this.optionalNumber(enemy.sightRadius, `${field}.sightRadius`, enemyDefaults.sightRadius, { min: 0 }),
+                patrol: this.optionalArray(enemy.patrol, `${field}.patrol`)
+                    .map((point, i) => this.requirePoint(point, `${field}.patrol[${i}]`))
+            };
+        });
+        
+        const hazards = this.optionalArray(data.hazards, 'hazards')
+            .map((hazard, index) => this.validateHazard(hazard, `hazards[${index}]`, index));
+        
+        const timeLimit = this.optionalNumber(data.timeLimit, 'timeLimit', this.defaults.timeLimit, { min: 1 });
+        
+        // La vista y los disparadores buscan los elementos por id: cada id
+        // (también los generados, como "obstacle-1") debe ser único en su lista
+        Object.entries({
+            obstacles, walls, zones, fields, holes, portals, collectibles,
+            checkpoints, powerups, enemies, hazards
+        }).forEach(([field, items]) => this.requireUniqueIds(items, field));
+        
+        // Una puerta junta los muros y obstáculos con su id (getDoorParts):
+        // un muro no puede compartir id con un obstáculo
+        walls.forEach((wall, index) => {
+            if (obstacles.some(obstacle => obstacle.id === wall.id)) {
+                throw new LevelValidationError(`walls[${index}].id`, `coincide con el de un obstáculo ("${wall.id}")`);
+            }
+        });
+        
+        // Las acciones de los disparadores deben apuntar a elementos que existen
+        const targets = {
+            wall: walls.map(wall => wall.id),
+            obstacle: obstacles.map(obstacle => obstacle.id),
+            goal: ['goal']
+        };
+        const triggers = this.optionalArray(data.triggers, 'triggers')
+            .map((trigger, index) => this.validateTrigger(trigger, `triggers[${index}]`, index, targets));
+        this.requireUniqueIds(triggers, 'triggers');
+        
+        // Los requisitos deben ser llaves del nivel
+        const keys = triggers.filter(trigger => trigger.type === 'key').map(trigger => trigger.id);
+        triggers.forEach((trigger, index) => {
+            trigger.requires.forEach((key, i) => {
+                if (!keys.includes(key)) {
+                    throw new LevelValidationError(`triggers[${index}].requires[${i}]`, 'debe ser el id de una llave');
+                }
+            });
+        });
+        
+        if (data.metadata !== undefined) {
+            this.requireObject(data.metadata, 'metadata');
+        }
+        const metadata = { ...(data.metadata || {}) };
+        const difficulties = Object.keys(this.difficultyPenalties);
+        if (metadata.difficulty !== undefined && !difficulties.includes(metadata.difficulty)) {
+            throw new LevelValidationError('metadata.difficulty', `debe ser uno de: ${difficulties.join(', ')}`);
+        }
+        const obstaclePenalty = this.difficultyPenalties[metadata.difficulty] || { type: 'none' };
+        
+        return {
+            version,
+            id: this.requireString(data.id, 'id'),
+            name: this.requireString(data.name, 'name'),
+            metadata,
+            timeLimit,
+            bounds,
+            ball,
+            goal,
+            obstacles,
+            walls,
+            zones,
+            fields,
+            holes,
+            portals,
+            triggers,
+            collectibles,
+            checkpoints,
+            powerups,
+            enemies,
+            hazards,
+            scoring: this.validateScoring(data.scoring, 'scoring', timeLimit, collectibles),
+            holePenalty: this.validatePenalty(data.holePenalty, 'holePenalty', this.defaults.holePenalty),
+            obstaclePenalty: this.validatePenalty(data.obstaclePenalty, 'obstaclePenalty', obstaclePenalty),
+            lives: this.optionalNumber(data.lives, 'lives', this.defaults.lives, { min: 1, integer: true })
+        };
+    }
+    
+    /**
+     * Valida un castigo por peligro
+     * @param {Object} penalty - Castigo sin validar
+     * @param {string} field - Ruta del campo
+     * @param {Object} fallback - Castigo por defecto
+     * @returns {Object} - {type, seconds?, invulnerability?}
+     */
+    validatePenalty(penalty, field, fallback) {
+        if (penalty === undefined) return { ...fallback };
+        
+        this.requireObject(penalty, field);
+        
+        if (!this.penaltyTypes.includes(penalty.type)) {
+            throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${this.penaltyTypes.join(', ')}`);
+        }
+        
+        if (penalty.type === 'time') {
+            return { type: 'time', seconds: this.requireNumber(penalty.seconds, `${field}.seconds`, { min: 0, integer: true }) };
+        }
+        
+        if (penalty.type === 'life') {
+            return {
+                type: 'life',
+                invulnerability: this.optionalNumber(penalty.invulnerability, `${field}.invulnerability`, this.defaults.invulnerability, { min: 0 })
+            };
+        }
+        
+        return { type: penalty.type };
+    }
+    
+    /**
+     * Valida las reglas de puntuación y calcula las estrellas que faltan
+     * @param {Object} scoring - Reglas sin validar (opcionales)
+     * @param {string} field - Ruta del campo
+     * @param {number} timeLimit - Tiempo límite del nivel
+     * @param {Array} collectibles - Coleccionables validados
+     * @returns {Object} - {secondValue, hitPenalty, stars: [dos, tres]}
+     */
+    validateScoring(scoring, field, timeLimit, collectibles) {
+        const defaults = this.defaults.scoring;
+        if (scoring !== undefined) {
+            this.requireObject(scoring, field);
+        }
+        const rules = scoring || {};
+        
+        const secondValue = this.optionalNumber(rules.secondValue, `${field}.secondValue`, defaults.secondValue, { min: 0, integer: true });
+        const hitPenalty = this.optionalNumber(rules.hitPenalty, `${field}.hitPenalty`, defaults.hitPenalty, { min: 0, integer: true });
+        
+        // Sin umbrales propios, fracciones de la mejor puntuación posible
+        const maximum = timeLimit * secondValue + collectibles.reduce((sum, item) => sum + item.value, 0);
+        let stars = defaults.stars.map(fraction => Math.round(maximum * fraction));
+        
+        if (rules.stars !== undefined) {
+            const values = this.optionalArray(rules.stars, `${field}.stars`);
+            if (values.length !== 2) {
+                throw new LevelValidationError(`${field}.stars`, 'debe contener dos puntuaciones (dos y tres estrellas)');
+            }
+            stars = values.map((value, i) => this.requireNumber(value, `${field}.stars[${i}]`, { min: 0 }));
+            if (stars[1] < stars[0]) {
+                throw new LevelValidationError(`${field}.stars`, 'debe ir de menor a mayor');
+            }
+        }
+        
+        return { secondValue, hitPenalty, stars };
+    }
+    
+    /**
+     * Valida un obstáculo rectangular y su movimiento
+     * @param {Object} obstacle - Obstáculo sin validar
+     * @param {string} field - Ruta del obstáculo dentro del nivel
+     * @param {number} index - Posición en la lista (para el id por defecto)
+     * @returns {Object} - Obstáculo validado
+     */
+    validateObstacle(obstacle, field, index) {
+        this.requireObject(obstacle, field);
+        
+        const shape = obstacle.shape === undefined ? 'rect' : obstacle.shape;
+        if (!this.shapes.includes(shape)) {
+            throw new LevelValidationError(`${field}.shape`, `debe ser uno de: ${this.shapes.join(', ')}`);
+        }
+        
+        const validated = {
+            id: obstacle.id === undefined ? `obstacle-${index}` : this.requireString(obstacle.id, `${field}.id`),
+            shape,
+            x: this.requireNumber(obstacle.x, `${field}.x`),
+            y: this.requireNumber(obstacle.y, `${field}.y`)
+        };
+        
+        if (shape === 'polygon') {
+            validated.points = this.validatePolygon(obstacle.points, `${field}.points`);
+        } else {
+            validated.width = this.requireNumber(obstacle.width, `${field}.width`, { min: 1 });
+            validated.height = this.requireNumber(obstacle.height, `${field}.height`, { min: 1 });
+        }
+        
+        validated.angle = this.optionalNumber(obstacle.angle, `${field}.angle`, 0);
+        validated.restitution = this.optionalNumber(obstacle.restitution, `${field}.restitution`, undefined, { min: 0, max: 2 });
+        validated.open = this.optionalBoolean(obstacle.open, `${field}.open`, false);
+        validated.active = this.optionalBoolean(obstacle.active, `${field}.active`, true);
+        validated.rotation = this.validateRotation(obstacle.rotation, `${field}.rotation`);
+        validated.motion = this.validateMotion(obstacle.motion, `${field}.motion`);
+        
+        return validated;
+    }
+    
+    /**
+     * Valida una zona de suelo y resuelve los valores de su material
+     * @param {Object} zone - Zona sin validar
+     * @param {string} field - Ruta de la zona dentro del nivel
+     * @param {number} index - Posición en la lista (para el id por defecto)
+     * @returns {Object} - Zona validada con "surface" completa
+     */
+    validateZone(zone, field, index) {
+        this.requireObject(zone, field);
+        
+        const shape = zone.shape === undefined ? 'rect' : zone.shape;
+        if (!this.shapes.includes(shape)) {
+            throw new LevelValidationError(`${field}.shape`, `debe ser uno de: ${this.shapes.join(', ')}`);
+        }
+        
+        const materials = Object.keys(this.materials);
+        if (!materials.includes(zone.material)) {
+            throw new LevelValidationError(`${field}.material`, `debe ser uno de: ${materials.join(', ')}`);
+        }
+        
+        const preset = this.materials[zone.material];
+        const validated = {
+            id: zone.id === undefined ? `zone-${index}` : this.requireString(zone.id, `${field}.id`),
+            shape,
+            material: zone.material,
+            x: this.requireNumber(zone.x, `${field}.x`),
+            y: this.requireNumber(zone.y, `${field}.y`),
+            surface: {
+                friction: this.optionalNumber(zone.friction, `${field}.friction`, preset.friction, { min: 0, max: 1 }),
+                acceleration: this.optionalNumber(zone.acceleration, `${field}.acceleration`, preset.acceleration, { min: 0 }),
+                maxSpeed: this.optionalNumber(zone.maxSpeed, `${field}.maxSpeed`, preset.maxSpeed, { min: 0 }),
+                bounce: this.optionalNumber(zone.bounce, `${field}.bounce`, preset.bounce, { min: 0, max: 2 })
+            }
+        };
+        
+        if (shape === 'polygon') {
+            validated.points = this.validatePolygon(zone.points, `${field}.points`);
+        } else {
+            validated.width = this.requireNumber(zone.width, `${field}.width`, { min: 1 });
+            validated.height = this.requireNumber(zone.height, `${field}.height`, { min: 1 });
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Valida un campo de fuerza
+     * @param {Object} field - Campo sin validar
+     * @param {string} path - Ruta del campo dentro del nivel
+     * @param {number} index - Posición en la lista (para el id por defecto)
+     * @returns {Object} - Campo validado (ángulos en grados)
+     */
+    validateField(field, path, index) {
+        this.requireObject(field, path);
+        
+        if (!this.fieldTypes.includes(field.type)) {
+            throw new LevelValidationError(`${path}.type`, `debe ser uno de: ${this.fieldTypes.join(', ')}`);
+        }
+        
+        const validated = {
+            id: field.id === undefined ? `field-${index}` : this.requireString(field.id, `${path}.id`),
+            type: field.type,
+            x: this.requireNumber(field.x, `${path}.x`),
+            y: this.requireNumber(field.y, `${path}.y`),
+            strength: this.requireNumber(field.strength, `${path}.strength`, { min: 0 })
+        };
+        
+        if (field.type === 'wind') {
+            const shape = field.shape === undefined ? 'rect' : field.shape;
+            if (!this.shapes.includes(shape)) {
+                throw new LevelValidationError(`${path}.shape`, `debe ser uno de: ${this.shapes.join(', ')}`);
+            }
+            
+            validated.shape = shape;
+            if (shape === 'polygon') {
+                validated.points = this.validatePolygon(field.points, `${path}.points`);
+            } else {
+                validated.width = this.requireNumber(field.width, `${path}.width`, { min: 1 });
+                validated.height = this.requireNumber(field.height, `${path}.height`, { min: 1 });
+            }
+            validated.angle = this.optionalNumber(field.angle, `${path}.angle`, 0);
+            
+            return validated;
+        }
+        
+        validated.radius = this.requireNumber(field.radius, `${path}.radius`, { min: 1 });
+        
+        const falloff = field.falloff === undefined ? 'constant' : field.falloff;
+        if (!this.falloffs.includes(falloff)) {
+            throw new LevelValidationError(`${path}.falloff`, `debe ser uno de: ${this.falloffs.join(', ')}`);
+        }
+        validated.falloff = falloff;
+        
+        if (field.type === 'vortex') {
+            const direction = field.direction === undefined ? 'cw' : field.direction;
+            if (direction !== 'cw' && direction !== 'ccw') {
+                throw new LevelValidationError(`${path}.direction`, 'debe ser "cw" o "ccw"');
+            }
+            validated.direction = direction;
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Valida un disparador y sus acciones
+     * @param {Object} trigger - Disparador sin validar
+     * @param {string} field - Ruta del disparador dentro del nivel
+     * @param {number} index - Posición en la lista (para el id por defecto)
+     * @param {Object} targets - Ids existentes por tipo de elemento {wall, obstacle, goal}
+     * @returns {Object} - Disparador validado
+     */
+    validateTrigger(trigger, field, index, targets) {
+        this.requireObject(trigger, field);
+        
+        if (!this.triggerTypes.includes(trigger.type)) {
+            throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${this.triggerTypes.join(', ')}`);
+        }
+        
+        const validated = {
+            id: trigger.id === undefined ? `trigger-${index}` : this.requireString(trigger.id, `${field}.id`),
+            type: trigger.type,
+            once: this.optionalBoolean(trigger.once, `${field}.once`, false),
+            requires: this.optionalArray(trigger.requires, `${field}.requires`)
+                .map((key, i) => this.requireString(key, `${field}.requires[${i}]`))
+        };
+        
+        switch (trigger.type) {
+            case 'key':
+                validated.x = this.requireNumber(trigger.x, `${field}.x`);
+                validated.y = this.requireNumber(trigger.y, `${field}.y`);
+                validated.radius = this.requireNumber(trigger.radius, `${field}.radius`, { min: 1 });
+                break;
+            case 'timer':
+                validated.interval = this.requireNumber(trigger.interval, `${field}.interval`, { min: 0.1 });
+                validated.phase = this.optionalNumber(trigger.phase, `${field}.phase`, 0, { min: 0, max: 1 });
+                break;
+            default: {
+                const shape = trigger.shape === undefined ? 'rect' : trigger.shape;
+                if (!this.shapes.includes(shape)) {
+                    throw new LevelValidationError(`${field}.shape`, `debe ser uno de: ${this.shapes.join(', ')}`);
+                }
+                
+                validated.shape = shape;
+                validated.x = this.requireNumber(trigger.x, `${field}.x`);
+                validated.y = this.requireNumber(trigger.y, `${field}.y`);
+                if (shape === 'polygon') {
+                    validated.points = this.validatePolygon(trigger.points, `${field}.points`);
+                } else {
+                    validated.width = this.requireNumber(trigger.width, `${field}.width`, { min: 1 });
+                    validated.height = this.requireNumber(trigger.height, `${field}.height`, { min: 1 });
+                }
+            }
+        }
+        
+        const actions = this.optionalArray(trigger.actions, `${field}.actions`);
+        if (actions.length === 0) {
+            throw new LevelValidationError(`${field}.actions`, 'debe contener al menos una acción');
+        }
+        
+        validated.actions = actions.map((action, i) => {
+            const path = `${field}.actions[${i}]`;
+            this.requireObject(action, path);
+            
+            const kinds = this.actionTargets[action.type];
+            if (!kinds) {
+                throw new LevelValidationError(`${path}.type`, `debe ser uno de: ${Object.keys(this.actionTargets).join(', ')}`);
+            }
+            
+            const target = this.requireString(action.target, `${path}.target`);
+            if (!kinds.some(kind => targets[kind].includes(target))) {
+                throw new LevelValidationError(`${path}.target`, `debe ser el id de un elemento de tipo ${kinds.join(' o ')}`);
+            }
+            
+            const validatedAction = { type: action.type, target };
+            if (action.duration !== undefined) {
+                validatedAction.duration = this.requireNumber(action.duration, `${path}.duration`, { min: 0 });
+            }
+            return validatedAction;
+        });
+        
+        return validated;
+    }
+    
+    /**
+     * Valida un peligro con ritmo y su forma
+     * @param {Object} hazard - Peligro sin validar
+     * @param {string} field - Ruta del peligro dentro del nivel
+     * @param {number} index - Posición en la lista (para el id por defecto)
+     * @returns {Object} - Peligro validado
+     */
+    validateHazard(hazard, field, index) {
+        this.requireObject(hazard, field);
+        
+        if (!this.hazardTypes.includes(hazard.type)) {
+            throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${this.hazardTypes.join(', ')}`);
+        }
+        
+        const defaults = this.defaults.hazard;
+        const off = this.optionalNumber(hazard.off, `${field}.off`, defaults.off, { min: 0.1 });
+        const validated = {
+            id: hazard.id === undefined ? `hazard-${index}` : this.requireString(hazard.id, `${field}.id`),
+            type: hazard.type,
+            on: this.optionalNumber(hazard.on, `${field}.on`, defaults.on, { min: 0.1 }),
+            off,
+            phase: this.optionalNumber(hazard.phase, `${field}.phase`, 0, { min: 0, max: 1 }),
+            warning: this.optionalNumber(hazard.warning, `${field}.warning`, Math.min(defaults.warning, off), { min: 0, max: off })
+        };
+        
+        if (hazard.type === 'laser') {
+            const points = this.optionalArray(hazard.points, `${field}.points`)
+                .map((point, i) => this.requirePoint(point, `${field}.points[${i}]`));
+            if (points.length !== 2) {
+                throw new LevelValidationError(`${field}.points`, 'debe contener dos puntos');
+            }
+            
+            validated.points = points;
+            validated.thickness = this.optionalNumber(hazard.thickness, `${field}.thickness`, defaults.thickness, { min: 1 });
+            return validated;
+        }
+        
+        const shape = hazard.shape === undefined ? 'rect' : hazard.shape;
+        if (!this.shapes.includes(shape)) {
+            throw new LevelValidationError(`${field}.shape`, `debe ser uno de: ${this.shapes.join(', ')}`);
+        }
+        
+        validated.shape = shape;
+        validated.x = this.requireNumber(hazard.x, `${field}.x`);
+        validated.y = this.requireNumber(hazard.y, `${field}.y`);
+        if (shape === 'polygon') {
+            validated.points = this.validatePolygon(hazard.points, `${field}.points`);
+        } else {
+            validated.width = this.requireNumber(hazard.width, `${field}.width`, { min: 1 });
+            validated.height = this.requireNumber(hazard.height, `${field}.height`, { min: 1 });
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Valida los puntos de un polígono: al menos tres y formando una figura
+     * convexa con área (la colisión solo admite polígonos convexos)
+     * @param {*} points - Lista de puntos sin validar
+     * @param {string} field - Ruta de la lista dentro del nivel
+     * @returns {Array} - Puntos validados
+     */
+    validatePolygon(points, field) {
+        const validated = this.optionalArray(points, field)
+            .map((point, i) => this.requirePoint(point, `${field}[${i}]`));
+        
+        if (validated.length < 3) {
+            throw new LevelValidationError(field, 'debe contener al menos tres puntos');
+        }
+        
+        // Todos los giros entre aristas consecutivas deben ir en el mismo sentido
+        let sign = 0;
+        let area = 0;
+        validated.forEach((a, i) => {
+            const b = validated[(i + 1) % validated.length];
+            const c = validated[(i + 2) % validated.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) {
+                    throw new LevelValidationError(field, 'debe formar un polígono convexo');
+                }
+                sign = Math.sign(cross);
+            }
+            area += a.x * b.y - b.x * a.y;
+        });
+        
+        if (area === 0) {
+            throw new LevelValidationError(field, 'no puede tener área nula');
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Valida el giro de un obstáculo
+     * @param {Object} rotation - Giro sin validar (si falta, no gira)
+     * @param {string} field - Ruta del giro dentro del nivel
+     * @returns {Object} - Giro validado (ángulos en grados)
+     */
+    validateRotation(rotation, field) {
+        if (rotation === undefined) return { type: 'none' };
+        
+        this.requireObject(rotation, field);
+        
+        if (!this.rotationTypes.includes(rotation.type)) {
+            throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${this.rotationTypes.join(', ')}`);
+        }
+        
+        if (rotation.type === 'none') return { type: 'none' };
+        
+        const validated = {
+            type: rotation.type,
+            speed: this.requireNumber(rotation.speed, `${field}.speed`, { min: 0 }),
+            phase: this.optionalNumber(rotation.phase, `${field}.phase`, 0, { min: 0, max: 1 })
+        };
+        
+        if (rotation.type === 'spin') {
+            const direction = rotation.direction === undefined ? 'cw' : rotation.direction;
+            if (direction !== 'cw' && direction !== 'ccw') {
+                throw new LevelValidationError(`${field}.direction`, 'debe ser "cw" o "ccw"');
+            }
+            validated.direction = direction;
+        } else {
+            const easing = rotation.easing === undefined ? 'linear' : rotation.easing;
+            if (!this.easings.includes(easing)) {
+                throw new LevelValidationError(`${field}.easing`, `debe ser uno de: ${this.easings.join(', ')}`);
+            }
+            validated.to = this.requireNumber(rotation.to, `${field}.to`);
+            validated.easing = easing;
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Valida el patrón de movimiento de un obstáculo
+     * @param {Object} motion - Movimiento sin validar (si falta, es estático)
+     * @param {string} field - Ruta del movimiento dentro del nivel
+     * @returns {Object} - Movimiento validado
+     */
+    validateMotion(motion, field) {
+        if (motion === undefined) return { type: 'static' };
+        
+        this.requireObject(motion, field);
+        
+        if (!this.motionTypes.includes(motion.type)) {
+            throw new LevelValidationError(`${field}.type`, `debe ser uno de: ${this.motionTypes.join(', ')}`);
+        }
+        
+        if (motion.type === 'static') return { type: 'static' };
+        
+        const easing = motion.easing === undefined ? 'linear' : motion.easing;
+        if (!this.easings.includes(easing)) {
+            throw new LevelValidationError(`${field}.easing`, `debe ser uno de: ${this.easings.join(', ')}`);
+        }
+        
+        const validated = {
+            type: motion.type,
+            speed: this.requireNumber(motion.speed, `${field}.speed`, { min: 0 }),
+            phase: this.optionalNumber(motion.phase, `${field}.phase`, 0, { min: 0, max: 1 }),
+            easing
+        };
+        
+        switch (motion.type) {
+            case 'linear':
+                validated.to = this.requirePoint(motion.to, `${field}.to`);
+                break;
+            case 'path':
+            case 'pingpong': {
+                const points = this.optionalArray(motion.points, `${field}.points`);
+                if (points.length === 0) {
+                    throw new LevelValidationError(`${field}.points`, 'debe contener al menos un punto');
+                }
+                validated.points = points.map((point, i) => this.requirePoint(point, `${field}.points[${i}]`));
+                break;
+            }
+            case 'orbit': {
+                validated.radius = this.requireNumber(motion.radius, `${field}.radius`, { min: 0 });
+                
+                const direction = motion.direction === undefined ? 'cw' : motion.direction;
+                if (direction !== 'cw' && direction !== 'ccw') {
+                    throw new LevelValidationError(`${field}.direction`, 'debe ser "cw" o "ccw"');
+                }
+                validated.direction = direction;
+                break;
+            }
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Convierte un nivel validado en la descripción de mundo del motor
+     * @param {Object} level - Nivel validado
+     * @returns {Object} - Mundo para PhysicsEngine.loadWorld
+     */
+    toWorld(level) {
+        return {
+            bounds: { ...level.bounds },
+            ball: { ...level.ball },
+            goal: { ...level.goal },
+            obstacles: level.obstacles.map(obstacle => ({
+                id: obstacle.id,
+                shape: obstacle.shape,
+                x: obstacle.x,
+                y: obstacle.y,
+                width: obstacle.width,
+                height: obstacle.height,
+                points: obstacle.points && obstacle.points.map(point => ({ ...point })),
+                angle: this.toRadians(obstacle.angle),
+                rotation: this.toWorldRotation(obstacle.rotation),
+                motion: JSON.parse(JSON.stringify(obstacle.motion)),
+                restitution: obstacle.restitution,
+                open: obstacle.open,
+                active: obstacle.active
+            })),
+            // Cada tramo de una línea quebrada es un muro del motor
+            walls: level.walls.flatMap(wall => wall.points.slice(1).map((point, i) => ({
+                id: `${wall.id}-${i}`,
+                group: wall.id,
+                x1: wall.points[i].x,
+                y1: wall.points[i].y,
+                x2: point.x,
+                y2: point.y,
+                thickness: wall.thickness,
+                restitution: wall.restitution,
+                open: wall.open
+            }))),
+            zones: level.zones.map(zone => ({
+                ...zone,
+                surface: { ...zone.surface },
+                points: zone.points && zone.points.map(point => ({ ...point }))
+            })),
+            fields: level.fields.map(field => ({
+                ...field,
+                points: field.points && field.points.map(point => ({ ...point })),
+                angle: field.angle === undefined ? undefined : this.toRadians(field.angle)
+            })),
+            holes: level.holes.map(hole => ({ ...hole })),
+            portals: level.portals.map(portal => ({
+                ...portal,
+                exitAngle: this.toRadians(portal.exitAngle)
+            })),
+            triggers: JSON.parse(JSON.stringify(level.triggers)),
+            collectibles: level.collectibles.map(item => ({ ...item })),
+            checkpoints: level.checkpoints.map(checkpoint => ({ ...checkpoint })),
+            powerups: level.powerups.map(powerup => ({ ...powerup })),
+            enemies: level.enemies.map(enemy => ({
+                ...enemy,
+                patrol: enemy.patrol.map(point => ({ ...point }))
+            })),
+            // Un rayo es un segmento, como un tramo de muro
+            hazards: level.hazards.map(hazard => {
+                if (hazard.type !== 'laser') {
+                    return { ...hazard, points: hazard.points && hazard.points.map(point => ({ ...point })) };
+                }
+                
+                const { points, ...laser } = hazard;
+                return { ...laser, x1: points[0].x, y1: points[0].y, x2: points[1].x, y2: points[1].y };
+            })
+        };
+    }
+    
+    /**
+     * Convierte un giro del nivel (en grados) al del motor (en radianes)
+     * @param {Object} rotation - Giro validado
+     * @returns {Object} - Giro para ObstacleRotation
+     */
+    toWorldRotation(rotation) {
+        const converted = { ...rotation };
+        
+        if (rotation.speed !== undefined) converted.speed = this.toRadians(rotation.speed);
+        if (rotation.to !== undefined) converted.to = this.toRadians(rotation.to);
+        
+        return converted;
+    }
+    
+    /**
+     * @param {number} degrees - Ángulo en grados
+     * @returns {number} - Ángulo en radianes
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+    
+    /**
+     * Exige que un valor sea un objeto (no array ni null)
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     */
+    requireObject(value, field) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new LevelValidationError(field, 'debe ser un objeto');
+        }
+    }
+    
+    /**
+     * Exige un punto {x, y}
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @returns {Object} - {x, y}
+     */
+    requirePoint(value, field) {
+        this.requireObject(value, field);
+        return {
+            x: this.requireNumber(value.x, `${field}.x`),
+            y: this.requireNumber(value.y, `${field}.y`)
+        };
+    }
+    
+    /**
+     * Comprueba que no haya dos elementos con el mismo id en una lista
+     * @param {Array} items - Elementos ya validados, con su id
+     * @param {string} field - Ruta de la lista
+     * @throws {LevelValidationError} - Si un id está repetido
+     */
+    requireUniqueIds(items, field) {
+        const ids = new Set();
+        items.forEach((item, index) => {
+            if (ids.has(item.id)) {
+                throw new LevelValidationError(`${field}[${index}].id`, `está repetido ("${item.id}")`);
+            }
+            ids.add(item.id);
+        });
+    }
+    
+    /**
+     * Exige un texto no vacío
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @returns {string}
+     */
+    requireString(value, field) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new LevelValidationError(field, 'debe ser un texto no vacío');
+        }
+        return value;
+    }
+    
+    /**
+     * Exige un número finito, opcionalmente entero y dentro de un rango
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @param {Object} rules - {min, max, integer}
+     * @returns {number}
+     */
+    requireNumber(value, field, rules = {}) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new LevelValidationError(field, 'debe ser un número');
+        }
+        if (rules.integer && !Number.isInteger(value)) {
+            throw new LevelValidationError(field, 'debe ser un número entero');
+        }
+        if (rules.min !== undefined && value < rules.min) {
+            throw new LevelValidationError(field, `debe ser mayor o igual que ${rules.min}`);
+        }
+        if (rules.max !== undefined && value > rules.max) {
+            throw new LevelValidationError(field, `debe ser menor o igual que ${rules.max}`);
+        }
+        return value;
+    }
+    
+    /**
+     * Número opcional: si falta se usa el valor por defecto
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @param {number} fallback - Valor por defecto
+     * @param {Object} rules - {min, max, integer}
+     * @returns {number}
+     */
+    optionalNumber(value, field, fallback, rules = {}) {
+        return value === undefined ? fallback : this.requireNumber(value, field, rules);
+    }
+    
+    /**
+     * Valor lógico opcional: si falta se usa el valor por defecto
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @param {boolean} fallback - Valor por defecto
+     * @returns {boolean}
+     */
+    optionalBoolean(value, field, fallback) {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'boolean') {
+            throw new LevelValidationError(field, 'debe ser true o false');
+        }
+        return value;
+    }
+    
+    /**
+     * Lista opcional: si falta se usa una lista vacía
+     * @param {*} value - Valor a comprobar
+     * @param {string} field - Ruta del campo
+     * @returns {Array}
+     */
+    optionalArray(value, field) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            throw new LevelValidationError(field, 'debe ser una lista');
+        }
+        return value;
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelLoader, LevelValidationError };
+}
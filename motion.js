@@ -0,0 +1,194 @@
+/**
+ * Tilt Runner - Obstacle Motion
+ * Patrones de movimiento declarativos para obstáculos. La posición depende
+ * solo del reloj de la física, así que el mismo nivel se mueve siempre igual
+ *
+ * Patrones (las posiciones son la esquina superior izquierda del obstáculo):
+ *   static   - no se mueve
+ *   linear   - patrulla de ida y vuelta entre el origen y "to"
+ *   path     - recorre en bucle el origen y los "points" y vuelve al origen
+ *   pingpong - recorre el origen y los "points" y regresa por el mismo camino
+ *   orbit    - gira alrededor del origen a distancia "radius"
+ *
+ * Todos los patrones móviles usan "speed" en unidades del mundo por segundo,
+ * "phase" (0 a 1) como fracción del ciclo ya recorrida al empezar y "easing"
+ * para acelerar y frenar en cada tramo (en la órbita, en cada vuelta)
+ *
+ * Giros (ObstacleRotation, ángulos en radianes, positivos en el sentido de
+ * las agujas del reloj en pantalla):
+ *   none  - mantiene el ángulo inicial
+ *   spin  - gira sin parar a "speed" radianes por segundo ("direction" cw | ccw)
+ *   swing - oscila entre el ángulo inicial y "to" a "speed" radianes por segundo
+ */
+
+class ObstacleMotion {
+    /**
+     * @param {Object} spec - Patrón validado ({type, speed, phase, easing, ...})
+     * @param {Object} origin - Posición declarada del obstáculo {x, y}
+     */
+    constructor(spec, origin) {
+        this.type = spec.type;
+        this.speed = spec.speed || 0;
+        this.phase = spec.phase || 0;
+        this.easing = ObstacleMotion.easings[spec.easing] || ObstacleMotion.easings.linear;
+        this.origin = { x: origin.x, y: origin.y };
+        
+        // Órbita
+        this.radius = spec.radius || 0;
+        this.direction = spec.direction === 'ccw' ? -1 : 1;
+        
+        // Tramos de los patrones con recorrido: [{from, to, length}]
+        this.segments = this.buildSegments(spec);
+        
+        // Longitud de un ciclo completo y su duración
+        this.length = this.type === 'orbit' ?
+            2 * Math.PI * this.radius :
+            this.segments.reduce((total, segment) => total + segment.length, 0);
+        this.duration = this.speed > 0 && this.length > 0 ? this.length / this.speed : 0;
+    }
+    
+    /**
+     * Construye los tramos a recorrer durante un ciclo
+     * @param {Object} spec - Patrón validado
+     * @returns {Array} - Tramos en orden
+     */
+    buildSegments(spec) {
+        let points;
+        
+        switch (spec.type) {
+            case 'linear':
+                points = [this.origin, spec.to, this.origin];
+                break;
+            case 'path':
+                points = [this.origin, ...spec.points, this.origin];
+                break;
+            case 'pingpong': {
+                const forward = [this.origin, ...spec.points];
+                points = [...forward, ...forward.slice(0, -1).reverse()];
+                break;
+            }
+            default:
+                return [];
+        }
+        
+        const segments = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const from = points[i];
+            const to = points[i + 1];
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            
+            // Los puntos repetidos no aportan recorrido
+            if (length > 0) {
+                segments.push({ from, to, length });
+            }
+        }
+        return segments;
+    }
+    
+    /**
+     * Posición del obstáculo en un instante del reloj de la física
+     * @param {number} time - Segundos de simulación
+     * @returns {Object} - {x, y}
+     */
+    positionAt(time) {
+        if (this.duration === 0) {
+            return { x: this.origin.x, y: this.origin.y };
+        }
+        
+        // Fracción del ciclo actual (0 a 1)
+        const cycle = time / this.duration + this.phase;
+        const progress = cycle - Math.floor(cycle);
+        
+        if (this.type === 'orbit') {
+            const angle = 2 * Math.PI * this.easing(progress) * this.direction;
+            return {
+                x: this.origin.x + Math.cos(angle) * this.radius,
+                y: this.origin.y + Math.sin(angle) * this.radius
+            };
+        }
+        
+        // Buscar el tramo en el que cae la distancia recorrida
+        let distance = progress * this.length;
+        for (const segment of this.segments) {
+            if (distance <= segment.length) {
+                const t = this.easing(distance / segment.length);
+                return {
+                    x: segment.from.x + (segment.to.x - segment.from.x) * t,
+                    y: segment.from.y + (segment.to.y - segment.from.y) * t
+                };
+            }
+            distance -= segment.length;
+        }
+        
+        // Redondeo al final del ciclo
+        const last = this.segments[this.segments.length - 1];
+        return { x: last.to.x, y: last.to.y };
+    }
+}
+
+class ObstacleRotation {
+    /**
+     * @param {Object} spec - Giro validado ({type, speed, phase, easing, ...})
+     * @param {number} angle - Ángulo inicial del obstáculo en radianes
+     */
+    constructor(spec, angle = 0) {
+        this.type = spec.type;
+        this.speed = spec.speed || 0;
+        this.phase = spec.phase || 0;
+        this.easing = ObstacleMotion.easings[spec.easing] || ObstacleMotion.easings.linear;
+        this.angle = angle;
+        
+        // Giro continuo
+        this.direction = spec.direction === 'ccw' ? -1 : 1;
+        
+        // Oscilación: ida y vuelta entre el ángulo inicial y el final
+        this.to = spec.to === undefined ? angle : spec.to;
+        this.duration = this.speed > 0 ? 2 * Math.abs(this.to - angle) / this.speed : 0;
+    }
+    
+    /**
+     * Ángulo del obstáculo en un instante del reloj de la física. No se
+     * normaliza a una vuelta para que el dibujado pueda interpolar entre ticks
+     * @param {number} time - Segundos de simulación
+     * @returns {number} - Ángulo en radianes
+     */
+    angleAt(time) {
+        if (this.type === 'spin') {
+            return this.angle + this.direction * (this.speed * time + this.phase * 2 * Math.PI);
+        }
+        
+        if (this.type === 'swing' && this.duration > 0) {
+            const cycle = time / this.duration + this.phase;
+            const progress = cycle - Math.floor(cycle);
+            
+            // Primera mitad del ciclo hacia "to", segunda mitad de regreso
+            const t = progress < 0.5 ? progress * 2 : 2 - progress * 2;
+            return this.angle + (this.to - this.angle) * this.easing(t);
+        }
+        
+        return this.angle;
+    }
+    
+    /**
+     * Indica si el giro cambia el ángulo con el tiempo
+     * @returns {boolean}
+     */
+    isRotating() {
+        return (this.type === 'spin' && this.speed > 0) || (this.type === 'swing' && this.duration > 0);
+    }
+}
+
+/**
+ * Curvas de suavizado: reciben y devuelven un valor entre 0 y 1
+ */
+ObstacleMotion.easings = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+};
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ObstacleMotion, ObstacleRotation };
+}
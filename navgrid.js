@@ -0,0 +1,263 @@
+/**
+ * Tilt Runner - Navigation Grid
+ * Rejilla de navegación para los enemigos: marca las celdas que tapan los
+ * muros, obstáculos fijos y agujeros del nivel y busca caminos con A*
+ * (ocho vecinos, sin cortar esquinas). Las celdas guardan qué las tapa, así
+ * que una puerta abierta deja pasar sin reconstruir la rejilla
+ */
+
+class NavGrid {
+    /**
+     * @param {number} width - Ancho del mundo
+     * @param {number} height - Alto del mundo
+     * @param {number} cellSize - Lado de cada celda en unidades del mundo
+     */
+    constructor(width, height, cellSize = 20) {
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        
+        // Por celda: lo que la tapa (muros y obstáculos) y si hay un agujero
+        this.blockers = Array.from({ length: this.columns * this.rows }, () => []);
+        this.holes = new Array(this.columns * this.rows).fill(false);
+    }
+    
+    /**
+     * Marca las celdas cuyo centro queda a menos de "clearance" de un muro,
+     * obstáculo o agujero
+     * @param {Array} colliders - Muros y obstáculos fijos (con vertices y rounding)
+     * @param {Array} holes - Agujeros {x, y, radius}
+     * @param {number} clearance - Radio de quien recorre la rejilla
+     * @param {Function} containsPoint - (vertices, x, y) => boolean
+     */
+    build(colliders, holes, clearance, containsPoint) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const index = row * this.columns + column;
+                const center = this.getCellCenter(column, row);
+                
+                colliders.forEach(collider => {
+                    const reach = clearance + (collider.rounding || 0);
+                    if (this.distanceToShape(collider.vertices, center.x, center.y) < reach ||
+                        (collider.vertices.length > 2 && containsPoint(collider.vertices, center.x, center.y))) {
+                        this.blockers[index].push(collider);
+                    }
+                });
+                
+                this.holes[index] = holes.some(hole => {
+                    const dx = center.x - hole.x;
+                    const dy = center.y - hole.y;
+                    const reach = hole.radius + clearance * 0.5;
+                    return dx * dx + dy * dy < reach * reach;
+                });
+            }
+        }
+    }
+    
+    /**
+     * Distancia de un punto al contorno de una forma
+     * @param {Array} vertices - Vértices de la forma (dos para un segmento)
+     * @param {number} x - X del punto
+     * @param {number} y - Y del punto
+     * @returns {number}
+     */
+    distanceToShape(vertices, x, y) {
+        let best = Infinity;
+        
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            const edgeX = b.x - a.x;
+            const edgeY = b.y - a.y;
+            const lengthSquared = edgeX * edgeX + edgeY * edgeY;
+            const t = lengthSquared > 0 ?
+                Math.max(0, Math.min(1, ((x - a.x) * edgeX + (y - a.y) * edgeY) / lengthSquared)) :
+                0;
+            const dx = x - (a.x + edgeX * t);
+            const dy = y - (a.y + edgeY * t);
+            best = Math.min(best, Math.sqrt(dx * dx + dy * dy));
+        });
+        
+        return best;
+    }
+    
+    /**
+     * @param {number} column - Columna
+     * @param {number} row - Fila
+     * @returns {Object} - Centro de la celda {x, y}
+     */
+    getCellCenter(column, row) {
+        return {
+            x: (column + 0.5) * this.cellSize,
+            y: (row + 0.5) * this.cellSize
+        };
+    }
+    
+    /**
+     * @param {number} x - X en el mundo
+     * @param {number} y - Y en el mundo
+     * @returns {Object} - Celda {column, row} (dentro de la rejilla)
+     */
+    getCell(x, y) {
+        return {
+            column: Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.cellSize))),
+            row: Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)))
+        };
+    }
+    
+    /**
+     * @param {number} column - Columna
+     * @param {number} row - Fila
+     * @returns {boolean} - true si la celda no se puede cruzar ahora mismo
+     */
+    isBlocked(column, row) {
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return true;
+        
+        const index = row * this.columns + column;
+        return this.holes[index] || this.blockers[index].some(blocker => !blocker.open);
+    }
+    
+    /**
+     * Comprueba si se puede ir en línea recta entre dos puntos sin cruzar
+     * celdas tapadas (las de los extremos no cuentan, como en findPath)
+     * @param {Object} from - Punto {x, y}
+     * @param {Object} to - Punto {x, y}
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (this.cellSize * 0.5));
+        const start = this.getCell(from.x, from.y);
+        const end = this.getCell(to.x, to.y);
+        
+        for (let i = 1; i < steps; i++) {
+            const cell = this.getCell(from.x + dx * i / steps, from.y + dy * i / steps);
+            const isEnd = (cell.column === start.column && cell.row === start.row) ||
+                (cell.column === end.column && cell.row === end.row);
+            if (!isEnd && this.isBlocked(cell.column, cell.row)) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Busca un camino con A*. Las celdas de salida y llegada cuentan como
+     * libres para que un enemigo pegado a un muro pueda seguir a la bolita
+     * @param {Object} from - Punto de salida {x, y}
+     * @param {Object} to - Punto de llegada {x, y}
+     * @returns {Array|null} - Puntos {x, y} hasta "to" (sin la salida), o null
+     */
+    findPath(from, to) {
+        const start = this.getCell(from.x, from.y);
+        const goal = this.getCell(to.x, to.y);
+        const startIndex = start.row * this.columns + start.column;
+        const goalIndex = goal.row * this.columns + goal.column;
+        
+        if (startIndex === goalIndex) return [{ x: to.x, y: to.y }];
+        
+        // Coste real desde la salida, celda anterior y celdas por explorar
+        const cost = new Map([[startIndex, 0]]);
+        const previous = new Map();
+        const open = new Map([[startIndex, this.estimate(start, goal)]]);
+        const closed = new Set();
+        
+        while (open.size > 0) {
+            // La celda abierta con menor coste estimado
+            let current = -1;
+            let best = Infinity;
+            open.forEach((score, index) => {
+                if (score < best) {
+                    best = score;
+                    current = index;
+                }
+            });
+            
+            if (current === goalIndex) {
+                return this.buildPath(previous, current, from, to);
+            }
+            
+            open.delete(current);
+            closed.add(current);
+            
+            const column = current % this.columns;
+            const row = Math.floor(current / this.columns);
+            
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    
+                    const nextColumn = column + dx;
+                    const nextRow = row + dy;
+                    if (nextColumn < 0 || nextRow < 0 || nextColumn >= this.columns || nextRow >= this.rows) continue;
+                    
+                    const next = nextRow * this.columns + nextColumn;
+                    if (closed.has(next)) continue;
+                    if (next !== goalIndex && this.isBlocked(nextColumn, nextRow)) continue;
+                    
+                    // En diagonal, sin cortar la esquina de una celda tapada
+                    if (dx !== 0 && dy !== 0 &&
+                        (this.isBlocked(column + dx, row) || this.isBlocked(column, row + dy))) continue;
+                    
+                    const nextCost = cost.get(current) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                    if (nextCost >= (cost.get(next) ?? Infinity)) continue;
+                    
+                    cost.set(next, nextCost);
+                    previous.set(next, current);
+                    open.set(next, nextCost + this.estimate({ column: nextColumn, row: nextRow }, goal));
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Distancia octil entre dos celdas (heurística de A* con diagonales)
+     * @param {Object} a - Celda {column, row}
+     * @param {Object} b - Celda {column, row}
+     * @returns {number}
+     */
+    estimate(a, b) {
+        const dx = Math.abs(a.column - b.column);
+        const dy = Math.abs(a.row - b.row);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+    
+    /**
+     * Reconstruye el camino encontrado y quita los puntos intermedios que se
+     * pueden saltar en línea recta
+     * @param {Map} previous - Celda anterior de cada celda visitada
+     * @param {number} end - Celda de llegada
+     * @param {Object} from - Punto de salida {x, y}
+     * @param {Object} to - Punto de llegada {x, y}
+     * @returns {Array} - Puntos {x, y}
+     */
+    buildPath(previous, end, from, to) {
+        const cells = [];
+        for (let index = previous.get(end); previous.has(index); index = previous.get(index)) {
+            cells.unshift(this.getCellCenter(index % this.columns, Math.floor(index / this.columns)));
+        }
+        
+        const points = [...cells, { x: to.x, y: to.y }];
+        const path = [];
+        let position = from;
+        
+        for (let i = 0; i < points.length; i++) {
+            // Saltar hasta el punto más lejano que se ve en línea recta
+            let next = i;
+            while (next + 1 < points.length && this.hasLineOfSight(position, points[next + 1])) {
+                next++;
+            }
+            path.push(points[next]);
+            position = points[next];
+            i = next;
+        }
+        
+        return path;
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NavGrid;
+}
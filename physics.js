@@ -1,6 +1,9 @@
 /**
  * Tilt Runner - Physics Engine
- * Sistema de físicas para manejar colisiones, fuerzas y movimiento
+ * Sistema de físicas para manejar colisiones, fuerzas y movimiento.
+ * Es un núcleo de simulación puro: recibe una descripción del mundo y un
+ * flujo de entradas, avanza de forma determinista y no toca el DOM, por lo
+ * que también funciona en Node (ver simulate.js)
  */
 
 class PhysicsEngine {
@@ -17,95 +20,493 @@ class PhysicsEngine {
             desktop: 0.3
         };
         
-        // Lista de obstáculos y elementos del juego
+        // Descripción del mundo y elementos del juego
+        this.bounds = {
+            width: 0,
+            height: 0
+        };
         this.obstacles = [];
+        this.walls = [];
+        this.holes = [];
+        this.zones = [];
+        this.currentZone = null; // Zona de material que pisa la bolita
+        this.fields = [];
+        this.portals = [];
+        this.collectibles = [];
+        this.checkpoints = [];
+        this.lastCheckpoint = null; // Último punto de control tocado
+        this.portalExit = null; // Portal por el que salió la bolita, inactivo hasta que lo abandone
+        this.fieldForce = { x: 0, y: 0, fields: [] }; // Empuje de los campos en el último tick
         this.goal = null;
         this.ball = null;
         
+        // Disparadores del nivel: puertas, llaves, placas... (ver triggers.js)
+        this.triggers = null;
+        
+        // Potenciadores: congelar el tiempo, encoger, escudo y velocidad (ver powerups.js)
+        this.powerups = null;
+        
+        // Enemigos que persiguen a la bolita (ver enemies.js)
+        this.enemies = null;
+        
+        // Peligros con ritmo: rayos, bloques que aplastan y pinchos (ver hazards.js)
+        this.hazards = null;
+        
+        // Caída en agujeros: la bolita se hunde durante fallDuration segundos
+        // de simulación y reaparece en respawnPoint (la salida o un punto de control)
+        this.fallDuration = 0.6;
+        this.fall = null; // {hole, elapsed} mientras está cayendo
+        this.respawnPoint = null;
+        
+        // Fase amplia: rejillas con los muros y obstáculos fijos (se llenan al
+        // cargar el mundo) y con los obstáculos que se mueven (en cada tick)
+        this.broadphaseCellSize = 64;
+        this.staticColliders = null;
+        this.dynamicColliders = null;
+        this.dynamicObstacles = [];
+        this.candidateCount = 0; // Candidatos de la última consulta (debug)
+        
+        // Suscriptores de eventos (obstacleHit, wallHit, holeFall, respawn,
+        // surfaceChange, teleport, trigger, triggerAction, collect, checkpoint,
+        // powerup, powerupEnd, enemyHit, enemyState, hazardHit, hazardState,
+        // goalReached, render)
+        this.listeners = {};
+        
         // Estado del motor
         this.isRunning = false;
+        this.animationFrame = null;
         this.lastTime = 0;
         this.deltaTime = 0;
         
-        this.initializeGameElements();
+        // Paso fijo de simulación: la física avanza siempre en ticks de igual
+        // duración sin importar la frecuencia de refresco de la pantalla
+        this.tickRate = 60; // Ticks por segundo
+        this.fixedDelta = 1 / this.tickRate; // Segundos por tick
+        this.maxFrameTime = 0.25; // Tope para no acumular demasiado tras un parón
+        this.accumulator = 0;
+        this.simulationTime = 0; // Reloj de la física en segundos
+        this.tick = 0;
+        this.interpolationAlpha = 0;
     }
     
     /**
-     * Inicializa los elementos del juego obteniendo sus posiciones del DOM
+     * Carga una descripción del mundo y deja la simulación en su estado inicial
+     * @param {Object} world - {bounds: {width, height}, ball: {x, y, radius},
+     *                          obstacles: [{id, shape, x, y, width, height, points,
+     *                                       angle, rotation, motion, open, active}],
+     *                          walls: [{id, group, x1, y1, x2, y2, thickness, restitution, open}],
+     *                          zones: [{id, material, surface, shape, x, y, width, height, points}],
+     *                          fields: [{id, type, strength, shape, x, y, width, height,
+     *                                    points, angle, radius, falloff, direction}],
+     *                          holes: [{id, x, y, radius}],
+     *                          portals: [{id, x, y, radius, target, exitAngle, cooldown}],
+     *                          triggers: [{id, type, actions, ...}] (ver triggers.js),
+     *                          collectibles: [{id, type, x, y, radius, value}],
+     *                          checkpoints: [{id, x, y, radius}],
+     *                          powerups: [{id, type, x, y, radius, duration}],
+     *                          enemies: [{id, x, y, radius, speed, sightRadius, patrol}],
+     *                          hazards: [{id, type, on, off, phase, warning, ...}] (ver hazards.js),
+     *                          goal: {x, y, radius, locked}}
+     * @param {Object} options - {keepBallState: conservar posición y velocidad actuales}
      */
-    initializeGameElements() {
-        // Obtener obstáculos del DOM
-        this.updateObstacles();
+    loadWorld(world, options = {}) {
+        const BallClass = typeof Ball !== 'undefined' ? Ball : require('./ball.js');
+        const motion = typeof ObstacleMotion !== 'undefined' ?
+            { ObstacleMotion, ObstacleRotation } :
+            require('./motion.js');
+        const TriggerClass = typeof TriggerSystem !== 'undefined' ? TriggerSystem : require('./triggers.js');
+        const PowerUpClass = typeof PowerUpSystem !== 'undefined' ? PowerUpSystem : require('./powerups.js');
+        const EnemyClass = typeof EnemySystem !== 'undefined' ? EnemySystem : require('./enemies.js');
+        const HazardClass = typeof HazardSystem !== 'undefined' ? HazardSystem : require('./hazards.js');
+        const previousBall = options.keepBallState ? this.ball : null;
+        
+        this.bounds = {
+            width: world.bounds.width,
+            height: world.bounds.height
+        };
+        
+        this.ball = new BallClass(world.ball.x, world.ball.y, world.ball.radius);
+        this.ball.setBounds(this.bounds.width, this.bounds.height);
+        
+        if (previousBall) {
+            this.ball.x = this.ball.prevX = Math.max(this.ball.bounds.left, Math.min(this.ball.bounds.right, previousBall.x));
+            this.ball.y = this.ball.prevY = Math.max(this.ball.bounds.top, Math.min(this.ball.bounds.bottom, previousBall.y));
+            this.ball.vx = previousBall.vx;
+            this.ball.vy = previousBall.vy;
+        }
+        
+        this.obstacles = (world.obstacles || []).map((obstacle, index) => {
+            const shape = this.createShape(obstacle);
+            const angle = obstacle.angle || 0;
+            
+            return {
+                id: obstacle.id || `obstacle-${index}`,
+                kind: 'obstacle',
+                shape: shape.type,
+                x: obstacle.x,
+                y: obstacle.y,
+                width: shape.width,
+                height: shape.height,
+                originalX: obstacle.x,
+                originalY: obstacle.y,
+                prevX: obstacle.x,
+                prevY: obstacle.y,
+                angle,
+                prevAngle: angle,
+                // Contorno relativo al pivote de giro; los vértices en el mundo
+                // (vertices) se recalculan en cada tick
+                localVertices: shape.vertices,
+                pivotOffsetX: shape.pivotOffsetX,
+                pivotOffsetY: shape.pivotOffsetY,
+                pivotX: 0,
+                pivotY: 0,
+                vertices: [],
+                // Rebote propio de la superficie (si falta, el de la bolita)
+                restitution: obstacle.restitution,
+                // Velocidad de la superficie (unidades y radianes por segundo)
+                vx: 0,
+                vy: 0,
+                angularVelocity: 0,
+                // Puerta abierta: no choca (los disparadores la abren y cierran)
+                open: Boolean(obstacle.open),
+                initialOpen: Boolean(obstacle.open),
+                // Reloj propio del movimiento: solo avanza mientras está activo
+                active: obstacle.active !== false,
+                initialActive: obstacle.active !== false,
+                motionTime: 0,
+                // Patrones de movimiento y giro (ver motion.js)
+                motion: new motion.ObstacleMotion(obstacle.motion || { type: 'static' }, obstacle),
+                rotation: new motion.ObstacleRotation(obstacle.rotation || { type: 'none' }, angle)
+            };
+        });
+        this.obstacles.forEach(obstacle => this.updateObstacleShape(obstacle));
+        
+        // Muros: segmentos engordados la mitad de su grosor; "group" reúne los
+        // tramos de un mismo muro del nivel para abrirlos como una puerta
+        this.walls = (world.walls || []).map((wall, index) => ({
+            id: wall.id || `wall-${index}`,
+            group: wall.group || wall.id || `wall-${index}`,
+            kind: 'wall',
+            open: Boolean(wall.open),
+            initialOpen: Boolean(wall.open),
+            x1: wall.x1,
+            y1: wall.y1,
+            x2: wall.x2,
+            y2: wall.y2,
+            thickness: wall.thickness,
+            vertices: [{ x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 }],
+            rounding: wall.thickness / 2,
+            restitution: wall.restitution
+        }));
+        
+        // Zonas de suelo con otro material (hielo, barro...)
+        this.zones = (world.zones || []).map((zone, index) => ({
+            id: zone.id || `zone-${index}`,
+            material: zone.material,
+            surface: { ...zone.surface },
+            vertices: this.createRegion(zone)
+        }));
+        this.currentZone = null;
+        
+        // Campos de fuerza: el viento empuja en una dirección dentro de su
+        // región; atractores, repulsores y vórtices actúan en un círculo
+        this.fields = (world.fields || []).map((field, index) => {
+            const built = {
+                id: field.id || `field-${index}`,
+                type: field.type,
+                strength: field.strength
+            };
+            
+            if (field.type === 'wind') {
+                const angle = field.angle || 0;
+                built.directionX = Math.cos(angle);
+                built.directionY = Math.sin(angle);
+                built.vertices = this.createRegion(field);
+            } else {
+                built.x = field.x;
+                built.y = field.y;
+                built.radius = field.radius;
+                built.falloff = field.falloff || 'constant';
+                built.direction = field.direction === 'ccw' ? -1 : 1;
+            }
+            
+            return built;
+        });
+        this.fieldForce = { x: 0, y: 0, fields: [] };
+        
+        this.buildBroadphase();
+        
+        this.holes = (world.holes || []).map((hole, index) => ({
+            id: hole.id || `hole-${index}`,
+            x: hole.x,
+            y: hole.y,
+            radius: hole.radius
+        }));
+        
+        // Portales: cada uno envía la bolita a su destino ("target")
+        this.portals = (world.portals || []).map((portal, index) => ({
+            id: portal.id || `portal-${index}`,
+            x: portal.x,
+            y: portal.y,
+            radius: portal.radius,
+            targetId: portal.target,
+            target: null,
+            exitAngle: portal.exitAngle || 0,
+            cooldown: portal.cooldown || 0,
+            cooldownUntil: 0 // Instante del reloj de la física en que vuelve a funcionar
+        }));
+        this.portals.forEach(portal => {
+            portal.target = this.portals.find(candidate => candidate.id === portal.targetId) || null;
+        });
+        this.portalExit = null;
+        
+        this.goal = world.goal ? {
+            x: world.goal.x,
+            y: world.goal.y,
+            radius: world.goal.radius,
+            locked: Boolean(world.goal.locked),
+            initialLocked: Boolean(world.goal.locked)
+        } : null;
+        
+        // Monedas y estrellas: se recogen al tocarlas
+        this.collectibles = (world.collectibles || []).map((item, index) => ({
+            id: item.id || `collectible-${index}`,
+            type: item.type,
+            x: item.x,
+            y: item.y,
+            radius: item.radius,
+            value: item.value,
+            collected: false
+        }));
         
-        // Obtener meta del DOM
-        this.updateGoal();
+        // Puntos de control: al tocarlos pasan a ser el punto de reaparición
+        this.checkpoints = (world.checkpoints || []).map((checkpoint, index) => ({
+            id: checkpoint.id || `checkpoint-${index}`,
+            index,
+            x: checkpoint.x,
+            y: checkpoint.y,
+            radius: checkpoint.radius,
+            reached: false
+        }));
+        
+        this.triggers = new TriggerClass(this);
+        this.triggers.load(world.triggers || []);
+        
+        this.powerups = new PowerUpClass(this);
+        this.powerups.load(world.powerups || []);
+        
+        // Los enemigos necesitan muros, obstáculos y agujeros ya construidos
+        this.enemies = new EnemyClass(this);
+        this.enemies.load(world.enemies || []);
+        
+        // Los bloques que aplastan chocan como los muros cuando están encendidos
+        this.hazards = new HazardClass(this);
+        this.hazards.load(world.hazards || []);
+        this.hazards.getSolids().forEach(hazard => {
+            this.staticColliders.insert(hazard, this.getColliderBounds(hazard));
+        });
+        
+        if (!previousBall) {
+            this.reset();
+        }
     }
     
     /**
-     * Actualiza la lista de obstáculos basada en elementos DOM
+     * Vértices en el mundo de una región fija (zonas y campos de viento)
+     * @param {Object} region - {shape, x, y, width, height | points}
+     * @returns {Array} - Vértices del contorno en orden
      */
-    updateObstacles() {
-        this.obstacles = [];
-        const obstacleElements = document.querySelectorAll('.obstacle');
-        const gameContainer = document.querySelector('#gameArea .border-neon-blue');
-        
-        if (!gameContainer) return;
-        
-        const containerRect = gameContainer.getBoundingClientRect();
+    createRegion(region) {
+        if (region.shape === 'polygon') {
+            return region.points.map(point => ({ x: region.x + point.x, y: region.y + point.y }));
+        }
         
-        obstacleElements.forEach(element => {
-            const rect = element.getBoundingClientRect();
-            
-            // Calcular posición relativa al contenedor del juego
-            const relativeX = rect.left - containerRect.left;
-            const relativeY = rect.top - containerRect.top;
+        return [
+            { x: region.x, y: region.y },
+            { x: region.x + region.width, y: region.y },
+            { x: region.x + region.width, y: region.y + region.height },
+            { x: region.x, y: region.y + region.height }
+        ];
+    }
+    
+    /**
+     * Prepara el contorno de un obstáculo. Los rectángulos giran alrededor de
+     * su centro; los polígonos, alrededor de su posición (x, y), a la que son
+     * relativos sus puntos
+     * @param {Object} obstacle - Obstáculo de la descripción del mundo
+     * @returns {Object} - {type, width, height, vertices, pivotOffsetX, pivotOffsetY}
+     */
+    createShape(obstacle) {
+        if (obstacle.shape === 'polygon') {
+            const xs = obstacle.points.map(point => point.x);
+            const ys = obstacle.points.map(point => point.y);
             
-            this.obstacles.push({
-                element: element,
-                x: relativeX,
-                y: relativeY,
-                width: rect.width,
-                height: rect.height,
-                originalX: relativeX,
-                originalY: relativeY,
-                // Propiedades para movimiento de obstáculos
-                moveSpeed: Math.random() * 2 + 1,
-                moveDirection: Math.random() * Math.PI * 2,
-                moveRadius: Math.random() * 20 + 10
+            // Orden de vértices con área positiva (sentido horario en pantalla)
+            let area = 0;
+            obstacle.points.forEach((a, i) => {
+                const b = obstacle.points[(i + 1) % obstacle.points.length];
+                area += a.x * b.y - b.x * a.y;
             });
-        });
+            const vertices = obstacle.points.map(point => ({ x: point.x, y: point.y }));
+            
+            return {
+                type: 'polygon',
+                width: Math.max(...xs) - Math.min(...xs),
+                height: Math.max(...ys) - Math.min(...ys),
+                vertices: area < 0 ? vertices.reverse() : vertices,
+                pivotOffsetX: 0,
+                pivotOffsetY: 0
+            };
+        }
+        
+        const halfWidth = obstacle.width / 2;
+        const halfHeight = obstacle.height / 2;
+        
+        return {
+            type: 'rect',
+            width: obstacle.width,
+            height: obstacle.height,
+            vertices: [
+                { x: -halfWidth, y: -halfHeight },
+                { x: halfWidth, y: -halfHeight },
+                { x: halfWidth, y: halfHeight },
+                { x: -halfWidth, y: halfHeight }
+            ],
+            pivotOffsetX: halfWidth,
+            pivotOffsetY: halfHeight
+        };
     }
     
     /**
-     * Actualiza la posición de la meta basada en el DOM
+     * Recalcula el pivote y los vértices en el mundo de un obstáculo
+     * @param {Object} obstacle - Obstáculo cargado
      */
-    updateGoal() {
-        const goalElement = document.getElementById('goal');
-        const gameContainer = document.querySelector('#gameArea .border-neon-blue');
+    updateObstacleShape(obstacle) {
+        const cos = Math.cos(obstacle.angle);
+        const sin = Math.sin(obstacle.angle);
         
-        if (!goalElement || !gameContainer) return;
+        obstacle.pivotX = obstacle.x + obstacle.pivotOffsetX;
+        obstacle.pivotY = obstacle.y + obstacle.pivotOffsetY;
+        obstacle.vertices = obstacle.localVertices.map(point => ({
+            x: obstacle.pivotX + point.x * cos - point.y * sin,
+            y: obstacle.pivotY + point.x * sin + point.y * cos
+        }));
+    }
+    
+    /**
+     * Reparte muros y obstáculos en las rejillas de la fase amplia. Los fijos
+     * se insertan una sola vez; los móviles se reinsertan en cada tick
+     */
+    buildBroadphase() {
+        const HashClass = typeof SpatialHash !== 'undefined' ? SpatialHash : require('./spatial.js');
         
-        const goalRect = goalElement.getBoundingClientRect();
-        const containerRect = gameContainer.getBoundingClientRect();
+        this.staticColliders = new HashClass(this.broadphaseCellSize);
+        this.dynamicColliders = new HashClass(this.broadphaseCellSize);
+        this.dynamicObstacles = this.obstacles.filter(obstacle =>
+            obstacle.motion.duration > 0 || obstacle.rotation.isRotating());
         
-        // Calcular posición relativa al contenedor del juego
-        const relativeX = goalRect.left - containerRect.left + goalRect.width / 2;
-        const relativeY = goalRect.top - containerRect.top + goalRect.height / 2;
+        this.walls.forEach(wall => this.staticColliders.insert(wall, this.getColliderBounds(wall)));
+        this.obstacles.forEach(obstacle => {
+            if (!this.dynamicObstacles.includes(obstacle)) {
+                this.staticColliders.insert(obstacle, this.getColliderBounds(obstacle));
+            }
+        });
         
-        this.goal = {
-            element: goalElement,
-            x: relativeX,
-            y: relativeY,
-            radius: goalRect.width / 2
+        this.updateDynamicColliders();
+    }
+    
+    /**
+     * Vuelve a insertar los obstáculos móviles en su rejilla
+     */
+    updateDynamicColliders() {
+        if (!this.dynamicColliders) return;
+        
+        this.dynamicColliders.clear();
+        this.dynamicObstacles.forEach(obstacle => {
+            this.dynamicColliders.insert(obstacle, this.getColliderBounds(obstacle));
+        });
+    }
+    
+    /**
+     * Caja que encierra un muro u obstáculo
+     * @param {Object} collider - Elemento con vertices y rounding opcional
+     * @returns {Object} - {minX, minY, maxX, maxY}
+     */
+    getColliderBounds(collider) {
+        const xs = collider.vertices.map(vertex => vertex.x);
+        const ys = collider.vertices.map(vertex => vertex.y);
+        const rounding = collider.rounding || 0;
+        
+        return {
+            minX: Math.min(...xs) - rounding,
+            minY: Math.min(...ys) - rounding,
+            maxX: Math.max(...xs) + rounding,
+            maxY: Math.max(...ys) + rounding
         };
     }
     
+    /**
+     * Muros y obstáculos que la bolita puede tocar moviéndose hasta una distancia
+     * @param {number} reach - Distancia máxima desde el centro de la bolita
+     * @returns {Array} - Candidatos para la fase estrecha
+     */
+    getNearbyColliders(reach) {
+        const box = {
+            minX: this.ball.x - reach,
+            minY: this.ball.y - reach,
+            maxX: this.ball.x + reach,
+            maxY: this.ball.y + reach
+        };
+        
+        const found = this.staticColliders.query(box);
+        this.dynamicColliders.query(box, found);
+        
+        this.candidateCount = found.size;
+        
+        // Las puertas abiertas no chocan
+        return Array.from(found).filter(collider => !collider.open);
+    }
+    
     /**
      * Establece la referencia a la bolita
      * @param {Ball} ball - Instancia de la clase Ball
      */
     setBall(ball) {
         this.ball = ball;
+        this.ball.setBounds(this.bounds.width, this.bounds.height);
+    }
+    
+    /**
+     * Suscribe un manejador a un evento de la simulación
+     * @param {string} type - obstacleHit, wallHit, holeFall, respawn, surfaceChange,
+     *                        teleport, trigger, triggerAction, collect, checkpoint,
+     *                        powerup, powerupEnd, enemyHit, enemyState, goalReached o render
+     * @param {Function} listener - Recibe el detalle del evento
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+    
+    /**
+     * Elimina un manejador de evento
+     * @param {string} type - Tipo de evento
+     * @param {Function} listener - Manejador registrado con on()
+     */
+    off(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(fn => fn !== listener);
+    }
+    
+    /**
+     * Notifica un evento a sus suscriptores
+     * @param {string} type - Tipo de evento
+     * @param {Object} detail - Datos del evento
+     */
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).forEach(listener => listener(detail));
     }
     
     /**
@@ -118,27 +519,50 @@ class PhysicsEngine {
         const normalizedBeta = Math.max(-45, Math.min(45, beta)) / 45;
         const normalizedGamma = Math.max(-45, Math.min(45, gamma)) / 45;
         
+        this.setInput(normalizedGamma, normalizedBeta);
+    }
+    
+    /**
+     * Fija la entrada del jugador para los próximos ticks
+     * @param {number} forceX - Fuerza horizontal (-1 a 1)
+     * @param {number} forceY - Fuerza vertical (-1 a 1)
+     */
+    setInput(forceX, forceY) {
         // Aplicar sensibilidad
         const sensitivity = this.isMobile() ? this.sensitivity.mobile : this.sensitivity.desktop;
         
-        this.gravity.x = normalizedGamma * sensitivity;
-        this.gravity.y = normalizedBeta * sensitivity;
+        this.gravity.x = forceX * sensitivity;
+        this.gravity.y = forceY * sensitivity;
     }
     
     /**
-     * Detecta si el dispositivo es móvil
+     * Cambia la frecuencia del paso fijo de simulación
+     * @param {number} tickRate - Ticks por segundo (15 a 240)
+     */
+    setTickRate(tickRate) {
+        this.tickRate = Math.max(15, Math.min(240, tickRate));
+        this.fixedDelta = 1 / this.tickRate;
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Detecta si el dispositivo es móvil (siempre false fuera del navegador)
      * @returns {boolean}
      */
     isMobile() {
+        if (typeof navigator === 'undefined' || !navigator.userAgent) return false;
         return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     }
     
     /**
-     * Inicia el motor de físicas
+     * Inicia el bucle en tiempo real del motor de físicas (solo navegador)
      */
     start() {
+        if (this.isRunning) return;
+        
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.update();
     }
     
@@ -147,10 +571,17 @@ class PhysicsEngine {
      */
     stop() {
         this.isRunning = false;
+        
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
     }
     
     /**
-     * Bucle principal de actualización del motor de físicas
+     * Bucle principal de actualización del motor de físicas.
+     * Acumula el tiempo real transcurrido y lo consume en ticks fijos;
+     * el resto se usa para interpolar el dibujado entre los dos últimos ticks
      */
     update() {
         if (!this.isRunning) return;
@@ -159,152 +590,565 @@ class PhysicsEngine {
         this.deltaTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
         
+        // Evitar la "espiral de la muerte" tras una pestaña en segundo plano
+        this.accumulator += Math.min(this.deltaTime / 1000, this.maxFrameTime);
+        
+        while (this.accumulator >= this.fixedDelta) {
+            this.step(this.fixedDelta);
+            this.accumulator -= this.fixedDelta;
+            
+            // Un evento (meta, game over) puede detener el motor a mitad de frame
+            if (!this.isRunning) return;
+        }
+        
+        // Dibujar interpolando entre el estado anterior y el actual
+        this.interpolationAlpha = this.accumulator / this.fixedDelta;
+        this.emit('render', { alpha: this.interpolationAlpha });
+        
+        // Continuar el bucle
+        this.animationFrame = requestAnimationFrame(() => this.update());
+    }
+    
+    /**
+     * Avanza la simulación un tick fijo
+     * @param {number} dt - Duración del tick en segundos
+     */
+    step(dt = this.fixedDelta) {
+        this.simulationTime += dt;
+        this.tick++;
+        
         // Actualizar elementos del juego
-        this.updateMovingObstacles();
+        this.updateMovingObstacles(dt);
+        this.triggers?.update(this.simulationTime);
+        this.powerups?.update(this.simulationTime);
+        
+        // Los enemigos no ven la bolita mientras cae, ni los peligros la golpean
+        this.enemies?.update(this.simulationTime, dt, this.fall ? null : this.ball);
+        this.hazards?.update(this.simulationTime, this.fall ? null : this.ball);
+        
+        // Mientras cae en un agujero la bolita no responde a la inclinación
+        if (this.fall) {
+            this.updateFall(dt);
+            return;
+        }
         
         // Aplicar físicas a la bolita si existe
         if (this.ball) {
-            // Aplicar gravedad
-            this.ball.applyForce(this.gravity.x, this.gravity.y);
+            // El suelo que pisa decide fricción, aceleración y velocidad máxima
+            this.updateSurface();
+            
+            // Aplicar gravedad y después los campos de fuerza que la alcanzan
+            this.ball.applyForce(this.gravity.x, this.gravity.y, dt);
+            this.applyFieldForces(dt);
             
-            // Actualizar bolita
-            this.ball.update();
+            // Actualizar bolita barriendo su recorrido contra lo que tiene cerca;
+            // la fricción solo puede acortar el recorrido
+            const frames = dt * this.ball.referenceRate;
+            const travel = Math.sqrt(this.ball.vx * this.ball.vx + this.ball.vy * this.ball.vy) * frames;
+            const nearby = this.getNearbyColliders(travel + this.ball.radius + 1);
+            const contacts = this.ball.update(dt, nearby);
             
             // Verificar colisiones
-            this.checkCollisions();
+            this.checkCollisions(contacts);
         }
-        
-        // Continuar el bucle
-        requestAnimationFrame(() => this.update());
     }
     
     /**
-     * Actualiza la posición de obstáculos móviles
+     * Simula sin tiempo real, tick a tick, con un flujo de entradas.
+     * Se detiene al llegar a la meta o al agotar maxTicks
+     * @param {Array|Function} inputs - Lista de {x, y} por tick (se repite la
+     *                                  última) o función (tick, engine) => {x, y}
+     * @param {number} maxTicks - Límite de ticks a simular
+     * @returns {Object} - Resumen: ticks, time, goalReached, obstacleHits, enemyHits,
+     *                    hazardHits, holeFalls, teleports, ball, speed (de la
+     *                    bolita al terminar, por fotograma de 60 Hz)
      */
-    updateMovingObstacles() {
-        const time = performance.now() * 0.001; // Convertir a segundos
+    simulate(inputs, maxTicks = this.tickRate * 60) {
+        const getInput = typeof inputs === 'function'
+            ? inputs
+            : (tick) => inputs[Math.min(tick, inputs.length - 1)] || { x: 0, y: 0 };
         
-        this.obstacles.forEach(obstacle => {
-            // Movimiento circular suave para algunos obstáculos
-            const offsetX = Math.sin(time * obstacle.moveSpeed) * obstacle.moveRadius;
-            const offsetY = Math.cos(time * obstacle.moveSpeed * 0.7) * obstacle.moveRadius * 0.5;
-            
-            obstacle.x = obstacle.originalX + offsetX;
-            obstacle.y = obstacle.originalY + offsetY;
+        let goalReached = false;
+        let obstacleHits = 0;
+        let enemyHits = 0;
+        let hazardHits = 0;
+        let holeFalls = 0;
+        let teleports = 0;
+        const onGoal = () => { goalReached = true; };
+        const onHit = () => { obstacleHits++; };
+        const onEnemyHit = () => { enemyHits++; };
+        const onHazardHit = () => { hazardHits++; };
+        const onFall = () => { holeFalls++; };
+        const onTeleport = () => { teleports++; };
+        
+        this.on('goalReached', onGoal);
+        this.on('obstacleHit', onHit);
+        this.on('enemyHit', onEnemyHit);
+        this.on('hazardHit', onHazardHit);
+        this.on('holeFall', onFall);
+        this.on('teleport', onTeleport);
+        
+        const firstTick = this.tick;
+        while (!goalReached && this.tick - firstTick < maxTicks) {
+            const input = getInput(this.tick - firstTick, this);
+            this.setInput(input.x, input.y);
+            this.step(this.fixedDelta);
+        }
+        
+        this.off('goalReached', onGoal);
+        this.off('obstacleHit', onHit);
+        this.off('enemyHit', onEnemyHit);
+        this.off('hazardHit', onHazardHit);
+        this.off('holeFall', onFall);
+        this.off('teleport', onTeleport);
+        
+        return {
+            ticks: this.tick - firstTick,
+            time: this.simulationTime,
+            goalReached,
+            obstacleHits,
+            enemyHits,
+            hazardHits,
+            holeFalls,
+            teleports,
+            ball: this.ball ? this.ball.getPosition() : null,
+            speed: this.ball ? this.ball.getSpeed() : 0
+        };
+    }
+    
+    /**
+     * Actualiza la posición y el giro de los obstáculos según el reloj de la física
+     * @param {number} dt - Duración del tick en segundos
+     */
+    updateMovingObstacles(dt = this.fixedDelta) {
+        // Los obstáculos fijos no cambian: basta con recorrer los móviles
+        this.dynamicObstacles.forEach(obstacle => {
+            obstacle.prevX = obstacle.x;
+            obstacle.prevY = obstacle.y;
+            obstacle.prevAngle = obstacle.angle;
             
-            // Actualizar posición visual del elemento DOM
-            if (obstacle.element) {
-                obstacle.element.style.left = `${obstacle.x}px`;
-                obstacle.element.style.top = `${obstacle.y}px`;
+            // La posición y el ángulo dependen solo de su reloj, que sigue al de
+            // la física mientras el obstáculo está activo
+            if (obstacle.active) {
+                obstacle.motionTime += dt;
             }
+            const position = obstacle.motion.positionAt(obstacle.motionTime);
+            obstacle.x = position.x;
+            obstacle.y = position.y;
+            obstacle.angle = obstacle.rotation.angleAt(obstacle.motionTime);
+            
+            // Velocidad de la superficie para que los choques la tengan en cuenta
+            obstacle.vx = (obstacle.x - obstacle.prevX) / dt;
+            obstacle.vy = (obstacle.y - obstacle.prevY) / dt;
+            obstacle.angularVelocity = (obstacle.angle - obstacle.prevAngle) / dt;
+            
+            this.updateObstacleShape(obstacle);
         });
+        
+        this.updateDynamicColliders();
     }
     
     /**
      * Verifica todas las colisiones del juego
+     * @param {Array} contacts - Contactos ya resueltos por el barrido de la bolita
      */
-    checkCollisions() {
+    checkCollisions(contacts = []) {
         if (!this.ball) return;
         
-        // Verificar colisiones con obstáculos
-        this.obstacles.forEach(obstacle => {
-            if (this.ball.checkObstacleCollision(obstacle)) {
-                this.ball.handleObstacleCollision(obstacle);
-                this.onObstacleHit(obstacle);
+        // Notificar los golpes detectados durante el barrido
+        contacts.forEach(contact => this.onContact(contact));
+        
+        // Obstáculos móviles que se han metido encima de la bolita
+        this.getNearbyColliders(this.ball.radius + 1).forEach(collider => {
+            if (this.ball.checkObstacleCollision(collider)) {
+                const contact = this.ball.resolveObstacleOverlap(collider);
+                if (contact) {
+                    this.onContact(contact);
+                }
+            }
+        });
+        
+        // Portales: como los agujeros, se activan cuando el centro cruza el borde
+        this.checkPortals();
+        
+        // Regiones, placas y llaves
+        this.triggers?.check(this.ball, this.simulationTime);
+        
+        // Coleccionables: basta con tocarlos (el mismo contacto de círculos que la meta)
+        this.collectibles.forEach(item => {
+            if (!item.collected && this.ball.checkGoalCollision(item)) {
+                item.collected = true;
+                this.emit('collect', { item });
             }
         });
         
-        // Verificar colisión con la meta
-        if (this.goal && this.ball.checkGoalCollision(this.goal)) {
+        // Enemigos: tocarlos es un golpe
+        this.enemies?.check(this.ball, this.simulationTime);
+        
+        // Rayos y pinchos encendidos: basta con tocarlos
+        this.hazards?.check(this.ball, this.simulationTime);
+        
+        // Potenciadores: como los coleccionables, basta con tocarlos
+        this.powerups?.check(this.ball, this.simulationTime);
+        
+        // Puntos de control: cuentan la primera vez que se tocan
+        this.checkpoints.forEach(checkpoint => {
+            if (!checkpoint.reached && this.ball.checkGoalCollision(checkpoint)) {
+                checkpoint.reached = true;
+                this.lastCheckpoint = checkpoint;
+                this.setRespawnPoint(checkpoint.x, checkpoint.y);
+                this.emit('checkpoint', { checkpoint, time: this.simulationTime });
+            }
+        });
+        
+        // Agujeros: basta con que el centro cruce el borde
+        const hole = this.holes.find(candidate => this.ball.checkHoleCollision(candidate));
+        if (hole) {
+            this.startFall(hole);
+            return;
+        }
+        
+        // Verificar colisión con la meta (si no está bloqueada)
+        if (this.goal && !this.goal.locked && this.ball.checkGoalCollision(this.goal)) {
             this.onGoalReached();
         }
     }
     
     /**
-     * Maneja el evento cuando la bolita toca un obstáculo
-     * @param {Object} obstacle - Obstáculo tocado
+     * Teletransporta la bolita si ha entrado en un portal activo. El portal
+     * de salida no la devuelve hasta que sale de él y pasa su espera
      */
-    onObstacleHit(obstacle) {
-        // Efecto visual en el obstáculo
-        if (obstacle.element) {
-            obstacle.element.classList.add('shake');
-            setTimeout(() => {
-                obstacle.element.classList.remove('shake');
-            }, 300);
+    checkPortals() {
+        if (this.portalExit && !this.ball.checkHoleCollision(this.portalExit)) {
+            this.portalExit = null;
         }
         
-        // Vibración más intensa para obstáculos
-        if (navigator.vibrate) {
-            navigator.vibrate([100, 50, 100]);
+        const portal = this.portals.find(candidate =>
+            candidate.target &&
+            candidate !== this.portalExit &&
+            !this.isPortalCoolingDown(candidate) &&
+            this.ball.checkHoleCollision(candidate));
+        if (!portal) return;
+        
+        const target = portal.target;
+        const from = { x: this.ball.x, y: this.ball.y };
+        
+        // Salir a la misma distancia del centro, girada como la velocidad
+        const cos = Math.cos(portal.exitAngle);
+        const sin = Math.sin(portal.exitAngle);
+        const offsetX = (from.x - portal.x) * target.radius / portal.radius;
+        const offsetY = (from.y - portal.y) * target.radius / portal.radius;
+        this.ball.teleport(
+            target.x + offsetX * cos - offsetY * sin,
+            target.y + offsetX * sin + offsetY * cos,
+            portal.exitAngle
+        );
+        
+        portal.cooldownUntil = this.simulationTime + portal.cooldown;
+        target.cooldownUntil = this.simulationTime + target.cooldown;
+        this.portalExit = target;
+        
+        this.emit('teleport', { portal, target, from, x: this.ball.x, y: this.ball.y });
+    }
+    
+    /**
+     * Indica si un portal está esperando tras un viaje
+     * @param {Object} portal - Portal a consultar
+     * @returns {boolean}
+     */
+    isPortalCoolingDown(portal) {
+        return this.simulationTime < portal.cooldownUntil;
+    }
+    
+    /**
+     * Busca la zona de material bajo el centro de la bolita (si se solapan,
+     * gana la última declarada) y aplica su superficie al cambiar
+     */
+    updateSurface() {
+        let zone = null;
+        this.zones.forEach(candidate => {
+            if (this.containsPoint(candidate.vertices, this.ball.x, this.ball.y)) {
+                zone = candidate;
+            }
+        });
+        
+        if (zone === this.currentZone) return;
+        
+        const previous = this.currentZone;
+        this.currentZone = zone;
+        this.ball.setSurface(zone ? zone.surface : null);
+        
+        this.emit('surfaceChange', { zone, previous });
+    }
+    
+    /**
+     * Empuja la bolita con la suma de los campos de fuerza que la alcanzan
+     * @param {number} dt - Duración del tick en segundos
+     */
+    applyFieldForces(dt) {
+        this.fieldForce = this.getFieldForce(this.ball.x, this.ball.y);
+        
+        if (this.fieldForce.x !== 0 || this.fieldForce.y !== 0) {
+            this.ball.applyAcceleration(this.fieldForce.x, this.fieldForce.y, dt);
         }
+    }
+    
+    /**
+     * Suma la aceleración de los campos de fuerza en un punto
+     * @param {number} x - X del punto
+     * @param {number} y - Y del punto
+     * @returns {Object} - {x, y} en unidades por segundo² y ids de los campos activos
+     */
+    getFieldForce(x, y) {
+        const force = { x: 0, y: 0, fields: [] };
         
-        // Disparar evento personalizado
-        document.dispatchEvent(new CustomEvent('obstacleHit', {
-            detail: { obstacle: obstacle }
-        }));
+        this.fields.forEach(field => {
+            if (field.type === 'wind') {
+                if (!this.containsPoint(field.vertices, x, y)) return;
+                
+                force.x += field.directionX * field.strength;
+                force.y += field.directionY * field.strength;
+                force.fields.push(field.id);
+                return;
+            }
+            
+            // Campos radiales: vector desde el centro del campo hasta el punto
+            const dx = x - field.x;
+            const dy = y - field.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= field.radius || distance === 0) return;
+            
+            const magnitude = field.strength * this.getFieldFalloff(field, distance);
+            const nx = dx / distance;
+            const ny = dy / distance;
+            
+            switch (field.type) {
+                case 'attractor':
+                    force.x -= nx * magnitude;
+                    force.y -= ny * magnitude;
+                    break;
+                case 'repeller':
+                    force.x += nx * magnitude;
+                    force.y += ny * magnitude;
+                    break;
+                case 'vortex':
+                    // Tangente en el sentido del giro (y crece hacia abajo)
+                    force.x -= ny * magnitude * field.direction;
+                    force.y += nx * magnitude * field.direction;
+                    break;
+            }
+            force.fields.push(field.id);
+        });
+        
+        return force;
     }
     
     /**
-     * Maneja el evento cuando la bolita llega a la meta
+     * Intensidad relativa de un campo radial según la distancia a su centro
+     * @param {Object} field - Campo radial
+     * @param {number} distance - Distancia al centro (menor que el radio)
+     * @returns {number} - De 0 a 1
      */
-    onGoalReached() {
-        // Efecto visual en la meta
-        if (this.goal && this.goal.element) {
-            this.goal.element.classList.add('animate-pulse');
+    getFieldFalloff(field, distance) {
+        const remaining = 1 - distance / field.radius;
+        
+        switch (field.falloff) {
+            case 'linear':
+                return remaining;
+            case 'quadratic':
+                return remaining * remaining;
+            default:
+                return 1;
+        }
+    }
+    
+    /**
+     * Indica si un punto está dentro de un polígono convexo
+     * @param {Array} vertices - Vértices del polígono en orden
+     * @param {number} x - X del punto
+     * @param {number} y - Y del punto
+     * @returns {boolean}
+     */
+    containsPoint(vertices, x, y) {
+        let sign = 0;
+        
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+            
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) return false;
+                sign = Math.sign(cross);
+            }
         }
         
-        // Vibración de victoria
-        if (navigator.vibrate) {
-            navigator.vibrate([200, 100, 200, 100, 200]);
+        return true;
+    }
+    
+    /**
+     * Reparte un contacto según lo que se ha tocado: bordes del tablero y
+     * muros del laberinto son wallHit; los peligros, hazardHit; el resto, obstacleHit
+     * @param {Object} contact - Contacto devuelto por la bolita
+     */
+    onContact(contact) {
+        if (!contact.obstacle) {
+            this.emit('wallHit', { contact: contact });
+        } else if (contact.obstacle.kind === 'wall') {
+            this.emit('wallHit', { contact: contact, wall: contact.obstacle });
+        } else if (contact.obstacle.kind === 'hazard') {
+            this.hazards.hit(contact.obstacle, contact, this.simulationTime);
+        } else {
+            this.onObstacleHit(contact.obstacle, contact);
         }
+    }
+    
+    /**
+     * Maneja el evento cuando la bolita toca un obstáculo
+     * @param {Object} obstacle - Obstáculo tocado
+     * @param {Object} contact - Punto (x, y), normal e impactSpeed del golpe
+     */
+    onObstacleHit(obstacle, contact) {
+        this.emit('obstacleHit', { obstacle: obstacle, contact: contact });
+    }
+    
+    /**
+     * Empieza la caída de la bolita en un agujero
+     * @param {Object} hole - Agujero en el que cae
+     */
+    startFall(hole) {
+        this.fall = { hole, elapsed: 0 };
+        this.ball.vx = 0;
+        this.ball.vy = 0;
+        
+        this.emit('holeFall', { hole, x: this.ball.x, y: this.ball.y });
+    }
+    
+    /**
+     * Hunde la bolita hacia el centro del agujero y la hace reaparecer al
+     * terminar la caída
+     * @param {number} dt - Duración del tick en segundos
+     */
+    updateFall(dt) {
+        const ball = this.ball;
+        const hole = this.fall.hole;
+        
+        ball.prevX = ball.x;
+        ball.prevY = ball.y;
+        
+        this.fall.elapsed += dt;
+        
+        if (this.fall.elapsed < this.fallDuration) {
+            // Deslizar hacia el centro a medida que se hunde
+            const pull = Math.min(1, dt * 10);
+            ball.x += (hole.x - ball.x) * pull;
+            ball.y += (hole.y - ball.y) * pull;
+            return;
+        }
+        
+        this.fall = null;
+        ball.respawn(this.respawnPoint.x, this.respawnPoint.y);
+        
+        this.emit('respawn', { hole, x: ball.x, y: ball.y });
+    }
+    
+    /**
+     * Fracción de la caída ya recorrida (0 si no está cayendo)
+     * @returns {number} - De 0 a 1
+     */
+    getFallProgress() {
+        return this.fall ? Math.min(1, this.fall.elapsed / this.fallDuration) : 0;
+    }
+    
+    /**
+     * Cambia el punto donde reaparece la bolita tras caer en un agujero
+     * @param {number} x - X de reaparición
+     * @param {number} y - Y de reaparición
+     */
+    setRespawnPoint(x, y) {
+        this.respawnPoint = { x, y };
+    }
+    
+    /**
+     * Devuelve la bolita al punto de reaparición (la salida o el último punto
+     * de control) sin pasar por un agujero, como castigo
+     */
+    respawnBall() {
+        if (!this.ball) return;
         
-        // Disparar evento personalizado
-        document.dispatchEvent(new CustomEvent('goalReached'));
+        this.fall = null;
+        this.portalExit = null;
+        this.ball.respawn(this.respawnPoint.x, this.respawnPoint.y);
+        
+        this.emit('respawn', { hole: null, x: this.ball.x, y: this.ball.y });
+    }
+    
+    /**
+     * Maneja el evento cuando la bolita llega a la meta
+     */
+    onGoalReached() {
+        this.emit('goalReached', { goal: this.goal, time: this.simulationTime });
     }
     
     /**
      * Reinicia las posiciones de todos los elementos
      */
     reset() {
-        // Reiniciar obstáculos a posiciones originales
+        // Reiniciar obstáculos a su posición en el instante 0 de su patrón
         this.obstacles.forEach(obstacle => {
-            obstacle.x = obstacle.originalX;
-            obstacle.y = obstacle.originalY;
-            
-            if (obstacle.element) {
-                obstacle.element.style.left = `${obstacle.x}px`;
-                obstacle.element.style.top = `${obstacle.y}px`;
-                obstacle.element.classList.remove('shake', 'animate-pulse');
-            }
+            obstacle.open = obstacle.initialOpen;
+            obstacle.active = obstacle.initialActive;
+            obstacle.motionTime = 0;
+            const position = obstacle.motion.positionAt(0);
+            obstacle.x = obstacle.prevX = position.x;
+            obstacle.y = obstacle.prevY = position.y;
+            obstacle.angle = obstacle.prevAngle = obstacle.rotation.angleAt(0);
+            obstacle.vx = obstacle.vy = obstacle.angularVelocity = 0;
+            this.updateObstacleShape(obstacle);
         });
+        this.updateDynamicColliders();
         
-        // Reiniciar meta
-        if (this.goal && this.goal.element) {
-            this.goal.element.classList.remove('animate-pulse');
+        // Puertas, meta y disparadores como al cargar el nivel
+        this.walls.forEach(wall => {
+            wall.open = wall.initialOpen;
+        });
+        if (this.goal) {
+            this.goal.locked = this.goal.initialLocked;
         }
+        this.triggers?.reset();
+        this.enemies?.reset();
+        this.hazards?.reset();
+        this.collectibles.forEach(item => {
+            item.collected = false;
+        });
+        this.checkpoints.forEach(checkpoint => {
+            checkpoint.reached = false;
+        });
+        this.lastCheckpoint = null;
         
-        // Reiniciar bolita
+        // Reiniciar bolita; reaparece en la salida hasta tocar un punto de control
+        this.currentZone = null;
+        this.fieldForce = { x: 0, y: 0, fields: [] };
+        this.portals.forEach(portal => {
+            portal.cooldownUntil = 0;
+        });
+        this.portalExit = null;
         if (this.ball) {
+            this.powerups?.reset();
             this.ball.reset();
+            this.setRespawnPoint(this.ball.startX, this.ball.startY);
         }
+        this.fall = null;
         
         // Reiniciar gravedad
         this.gravity.x = 0;
         this.gravity.y = 0;
-    }
-    
-    /**
-     * Actualiza las dimensiones y posiciones cuando cambia el tamaño de pantalla
-     */
-    resize() {
-        // Actualizar límites de la bolita
-        if (this.ball) {
-            this.ball.updateBounds();
-        }
         
-        // Actualizar posiciones de elementos del juego
-        this.updateObstacles();
-        this.updateGoal();
+        // Reiniciar el reloj de la física
+        this.accumulator = 0;
+        this.simulationTime = 0;
+        this.tick = 0;
+        this.interpolationAlpha = 0;
     }
     
     /**
@@ -315,11 +1159,38 @@ class PhysicsEngine {
         return {
             gravity: this.gravity,
             isRunning: this.isRunning,
+            bounds: this.bounds,
             obstacleCount: this.obstacles.length,
+            wallCount: this.walls.length,
+            currentZone: this.currentZone ? this.currentZone.id : null,
+            fieldCount: this.fields.length,
+            fieldForce: { x: this.fieldForce.x, y: this.fieldForce.y },
+            activeFields: this.fieldForce.fields,
+            broadphaseCandidates: this.candidateCount,
+            holeCount: this.holes.length,
+            portalCount: this.portals.length,
+            portalExit: this.portalExit ? this.portalExit.id : null,
+            goalLocked: this.goal ? this.goal.locked : false,
+            collected: this.collectibles.filter(item => item.collected).length,
+            triggers: this.triggers ? this.triggers.getDebugInfo() : null,
+            powerups: this.powerups ? this.powerups.getDebugInfo(this.simulationTime) : null,
+            enemies: this.enemies ? this.enemies.getDebugInfo() : null,
+            hazards: this.hazards ? this.hazards.getDebugInfo() : null,
+            lastCheckpoint: this.lastCheckpoint ? this.lastCheckpoint.id : null,
+            isFalling: this.fall !== null,
+            respawnPoint: this.respawnPoint,
             deltaTime: this.deltaTime,
+            tickRate: this.tickRate,
+            tick: this.tick,
+            simulationTime: this.simulationTime,
+            interpolationAlpha: this.interpolationAlpha,
             ballPosition: this.ball ? this.ball.getPosition() : null,
             ballVelocity: this.ball ? this.ball.getVelocity() : null
         };
     }
 }
 
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsEngine;
+}
@@ -0,0 +1,166 @@
+/**
+ * Tilt Runner - Power-Up System
+ * Potenciadores que se recogen al tocarlos y duran unos segundos del reloj
+ * de la física:
+ *   freeze - congela el temporizador de la partida (lo aplica el juego)
+ *   shrink - encoge la bolita
+ *   shield - los golpes contra obstáculos no castigan (lo aplica el juego)
+ *   boost  - sube la velocidad máxima
+ *
+ * Potenciadores distintos se suman; recoger uno que ya está activo no
+ * dobla su efecto, solo renueva su duración si la nueva acaba más tarde
+ */
+
+class PowerUpSystem {
+    /**
+     * @param {PhysicsEngine} engine - Motor cuya bolita modifican los potenciadores
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.pickups = [];
+        
+        // Efectos en curso: tipo → {until, pickup}
+        this.active = {};
+        
+        // Intensidad de los efectos sobre la bolita
+        this.shrinkScale = 0.6; // Fracción del radio normal
+        this.boostMultiplier = 1.6; // Multiplicador de la velocidad máxima
+    }
+    
+    /**
+     * Prepara los potenciadores de un mundo recién cargado
+     * @param {Array} pickups - [{id, type, x, y, radius, duration}]
+     */
+    load(pickups = []) {
+        this.pickups = pickups.map((pickup, index) => ({
+            id: pickup.id || `powerup-${index}`,
+            type: pickup.type,
+            x: pickup.x,
+            y: pickup.y,
+            radius: pickup.radius,
+            duration: pickup.duration,
+            collected: false
+        }));
+        
+        this.reset();
+    }
+    
+    /**
+     * Quita todos los efectos y vuelve a poner los potenciadores en el tablero
+     */
+    reset() {
+        Object.keys(this.active).forEach(type => this.applyEffect(type, false));
+        this.active = {};
+        
+        this.pickups.forEach(pickup => {
+            pickup.collected = false;
+        });
+    }
+    
+    /**
+     * Termina los efectos cuya duración ha pasado
+     * @param {number} time - Segundos de simulación
+     */
+    update(time) {
+        Object.keys(this.active).forEach(type => {
+            if (time < this.active[type].until) return;
+            
+            delete this.active[type];
+            this.applyEffect(type, false);
+            this.engine.emit('powerupEnd', { type });
+        });
+    }
+    
+    /**
+     * Recoge los potenciadores que toca la bolita
+     * @param {Ball} ball - Bolita
+     * @param {number} time - Segundos de simulación
+     */
+    check(ball, time) {
+        this.pickups.forEach(pickup => {
+            if (pickup.collected || !ball.checkGoalCollision(pickup)) return;
+            
+            pickup.collected = true;
+            this.activate(pickup, time);
+        });
+    }
+    
+    /**
+     * Empieza o renueva el efecto de un potenciador
+     * @param {Object} pickup - Potenciador recogido
+     * @param {number} time - Segundos de simulación
+     */
+    activate(pickup, time) {
+        const until = time + pickup.duration;
+        const current = this.active[pickup.type];
+        const refreshed = Boolean(current);
+        
+        if (current) {
+            current.until = Math.max(current.until, until);
+            current.pickup = pickup;
+        } else {
+            this.active[pickup.type] = { until, pickup };
+            this.applyEffect(pickup.type, true);
+        }
+        
+        this.engine.emit('powerup', { pickup, until: this.active[pickup.type].until, refreshed });
+    }
+    
+    /**
+     * Aplica o quita el efecto de un tipo sobre la bolita. Congelar el tiempo
+     * y el escudo no tocan la física: el juego consulta isActive
+     * @param {string} type - Tipo de potenciador
+     * @param {boolean} enabled - true para aplicarlo, false para quitarlo
+     */
+    applyEffect(type, enabled) {
+        const ball = this.engine.ball;
+        if (!ball) return;
+        
+        switch (type) {
+            case 'shrink':
+                ball.setRadius(enabled ? ball.baseRadius * this.shrinkScale : ball.baseRadius);
+                break;
+            case 'boost':
+                ball.setSpeedMultiplier(enabled ? this.boostMultiplier : 1);
+                break;
+        }
+    }
+    
+    /**
+     * @param {string} type - Tipo de potenciador
+     * @returns {boolean} - true si su efecto está en curso
+     */
+    isActive(type) {
+        return Boolean(this.active[type]);
+    }
+    
+    /**
+     * Efectos en curso y lo que les queda
+     * @param {number} time - Segundos de simulación
+     * @returns {Array} - [{type, remaining}] en segundos
+     */
+    getActive(time) {
+        return Object.keys(this.active).map(type => ({
+            type,
+            remaining: Math.max(0, this.active[type].until - time)
+        }));
+    }
+    
+    /**
+     * Obtiene información de debug de los potenciadores
+     * @param {number} time - Segundos de simulación
+     * @returns {Object} - Información de debug
+     */
+    getDebugInfo(time) {
+        return {
+            powerupCount: this.pickups.length,
+            collectedPowerups: this.pickups.filter(pickup => pickup.collected).map(pickup => pickup.id),
+            activePowerups: this.getActive(time)
+        };
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerUpSystem;
+}
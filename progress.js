@@ -0,0 +1,193 @@
+/**
+ * Tilt Runner - Progress Store
+ * Guarda el avance de la campaña (niveles completados y mejores tiempos)
+ * en localStorage y decide qué niveles están desbloqueados
+ */
+
+class ProgressStore {
+    constructor(storageKey = 'tiltRunner.progress') {
+        this.storageKey = storageKey;
+        
+        // Versión del formato guardado
+        this.version = 1;
+        
+        // Estado en memoria: {completed: {levelId: {bestTime, bestScore, stars, splits}}, lastLevelId}
+        // splits son los parciales de la partida del mejor tiempo: [{id, time}]
+        this.data = this.createEmpty();
+        
+        this.load();
+    }
+    
+    /**
+     * Crea un progreso vacío
+     * @returns {Object}
+     */
+    createEmpty() {
+        return {
+            version: this.version,
+            completed: {},
+            lastLevelId: null
+        };
+    }
+    
+    /**
+     * Devuelve localStorage si está disponible (puede fallar en modo privado)
+     * @returns {Storage|null}
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Lee el progreso guardado; si está dañado o es de otra versión se empieza de cero
+     */
+    load() {
+        const storage = this.getStorage();
+        if (!storage) return;
+        
+        try {
+            const saved = JSON.parse(storage.getItem(this.storageKey));
+            if (saved && saved.version === this.version && typeof saved.completed === 'object') {
+                this.data = { ...this.createEmpty(), ...saved };
+            }
+        } catch (error) {
+            console.warn('Progreso guardado ilegible, se empieza de cero:', error);
+        }
+    }
+    
+    /**
+     * Guarda el progreso actual
+     */
+    save() {
+        const storage = this.getStorage();
+        if (!storage) return;
+        
+        try {
+            storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('No se pudo guardar el progreso:', error);
+        }
+    }
+    
+    /**
+     * Registra un nivel completado. Mejor tiempo, mejor puntuación y
+     * estrellas se guardan por separado: cada uno conserva su récord
+     * @param {string} levelId - Id del nivel
+     * @param {number} time - Tiempo empleado en segundos
+     * @param {Object} score - Puntuación final {total, stars} (opcional)
+     * @param {Array} splits - Parciales de la partida [{id, time}] (opcional)
+     * @returns {Object} - {newBestTime, newBestScore}
+     */
+    markCompleted(levelId, time, score = null, splits = []) {
+        const previous = this.data.completed[levelId] || {};
+        const newBestTime = previous.bestTime === undefined || time < previous.bestTime;
+        const newBestScore = Boolean(score) && (previous.bestScore === undefined || score.total > previous.bestScore);
+        
+        this.data.completed[levelId] = {
+            bestTime: newBestTime ? time : previous.bestTime,
+            bestScore: newBestScore ? score.total : previous.bestScore,
+            stars: Math.max(previous.stars || 0, score ? score.stars : 0),
+            splits: newBestTime ? splits.map(split => ({ ...split })) : (previous.splits || [])
+        };
+        
+        this.save();
+        return { newBestTime, newBestScore };
+    }
+    
+    /**
+     * Recuerda el último nivel jugado
+     * @param {string} levelId - Id del nivel
+     */
+    setLastLevel(levelId) {
+        this.data.lastLevelId = levelId;
+        this.save();
+    }
+    
+    /**
+     * @param {string} levelId - Id del nivel
+     * @returns {boolean}
+     */
+    isCompleted(levelId) {
+        return Boolean(this.data.completed[levelId]);
+    }
+    
+    /**
+     * @param {string} levelId - Id del nivel
+     * @returns {number|null} - Mejor tiempo en segundos
+     */
+    getBestTime(levelId) {
+        return this.data.completed[levelId]?.bestTime ?? null;
+    }
+    
+    /**
+     * @param {string} levelId - Id del nivel
+     * @returns {number|null} - Mejor puntuación
+     */
+    getBestScore(levelId) {
+        return this.data.completed[levelId]?.bestScore ?? null;
+    }
+    
+    /**
+     * @param {string} levelId - Id del nivel
+     * @returns {Array} - Parciales del mejor tiempo [{id, time}] (vacío si no hay)
+     */
+    getBestSplits(levelId) {
+        return this.data.completed[levelId]?.splits ?? [];
+    }
+    
+    /**
+     * @param {string} levelId - Id del nivel
+     * @returns {number} - Estrellas conseguidas (0 si no se ha completado)
+     */
+    getStars(levelId) {
+        return this.data.completed[levelId]?.stars ?? 0;
+    }
+    
+    /**
+     * Estado de un nivel de la campaña: el primero siempre está abierto y
+     * cada nivel se desbloquea al completar el anterior
+     * @param {Array} levels - Niveles de la campaña en orden
+     * @param {number} index - Posición del nivel
+     * @returns {string} - 'completed', 'unlocked' o 'locked'
+     */
+    getLevelState(levels, index) {
+        if (this.isCompleted(levels[index].id)) return 'completed';
+        if (index === 0 || this.isCompleted(levels[index - 1].id)) return 'unlocked';
+        return 'locked';
+    }
+    
+    /**
+     * Nivel con el que continuar: el último jugado si quedó sin completar, si
+     * no el primero pendiente; con la campaña terminada, el último jugado
+     * @param {Array} levels - Niveles de la campaña en orden
+     * @returns {number} - Índice del nivel
+     */
+    getResumeIndex(levels) {
+        const lastIndex = levels.findIndex(level => level.id === this.data.lastLevelId);
+        if (lastIndex !== -1 && this.getLevelState(levels, lastIndex) === 'unlocked') {
+            return lastIndex;
+        }
+        
+        const firstPending = levels.findIndex((level, index) => this.getLevelState(levels, index) === 'unlocked');
+        if (firstPending !== -1) return firstPending;
+        
+        return Math.max(lastIndex, 0);
+    }
+    
+    /**
+     * Borra todo el progreso
+     */
+    reset() {
+        this.data = this.createEmpty();
+        this.save();
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressStore;
+}
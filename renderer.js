@@ -0,0 +1,894 @@
+/**
+ * Tilt Runner - DOM Renderer
+ * Vista del núcleo de simulación: dibuja la bolita y los elementos del nivel
+ * sobre el tablero HTML y aplica los efectos visuales y hápticos
+ */
+
+class DOMRenderer {
+    constructor() {
+        // Referencias DOM
+        this.gameArea = document.getElementById('gameArea');
+        this.board = document.querySelector('#gameArea .border-neon-blue');
+        this.obstacleContainer = this.board?.querySelector('.obstacles');
+        this.holeContainer = this.board?.querySelector('.holes');
+        this.wallContainer = this.board?.querySelector('.walls');
+        this.zoneContainer = this.board?.querySelector('.zones');
+        this.fieldContainer = this.board?.querySelector('.fields');
+        this.portalContainer = this.board?.querySelector('.portals');
+        this.triggerContainer = this.board?.querySelector('.triggers');
+        this.collectibleContainer = this.board?.querySelector('.collectibles');
+        this.checkpointContainer = this.board?.querySelector('.checkpoints');
+        this.powerupContainer = this.board?.querySelector('.powerups');
+        this.enemyContainer = this.board?.querySelector('.enemies');
+        this.hazardContainer = this.board?.querySelector('.hazards');
+        this.ballElement = document.getElementById('ball');
+        this.goalElement = document.getElementById('goal');
+        
+        // Elementos de obstáculos indexados por id del mundo, y desplazamiento
+        // de la esquina de cada elemento respecto a la posición del obstáculo
+        // (los polígonos se dibujan en la caja que encierra sus puntos)
+        this.obstacleElements = {};
+        this.obstacleOffsets = {};
+        
+        // Elementos de agujeros, portales, muros, zonas y campos indexados por id del mundo
+        this.holeElements = {};
+        this.portalElements = {};
+        this.wallElements = {};
+        this.zoneElements = {};
+        this.fieldElements = {};
+        this.triggerElements = {};
+        this.collectibleElements = {};
+        this.checkpointElements = {};
+        this.powerupElements = {};
+        this.enemyElements = {};
+        this.hazardElements = {};
+        
+        // Escala mundo → píxeles; se recalcula al cambiar el tamaño de pantalla
+        this.scale = 1;
+        
+        // Espacio reservado alrededor del tablero para el HUD y las instrucciones
+        this.padding = {
+            top: 72,
+            right: 16,
+            bottom: 56,
+            left: 16
+        };
+        
+        // Mundo que se está dibujando
+        this.world = null;
+        
+        // Motor al que está conectada la vista
+        this.physics = null;
+    }
+    
+    /**
+     * Crea los elementos del tablero para un mundo recién cargado
+     * @param {Object} world - Descripción del mundo (ver PhysicsEngine.loadWorld)
+     */
+    buildWorld(world) {
+        this.world = world;
+        
+        // Sustituir los obstáculos del nivel anterior
+        this.obstacleElements = {};
+        this.obstacleOffsets = {};
+        if (this.obstacleContainer) {
+            this.obstacleContainer.innerHTML = '';
+            
+            world.obstacles.forEach(obstacle => {
+                const element = document.createElement('div');
+                element.className = obstacle.shape === 'polygon' ?
+                    'obstacle absolute bg-neon-pink animate-pulse-neon' :
+                    'obstacle absolute bg-neon-pink rounded shadow-neon-pink animate-pulse-neon';
+                element.classList.toggle('bumper', obstacle.restitution > 1);
+                element.dataset.id = obstacle.id;
+                
+                this.obstacleContainer.appendChild(element);
+                this.obstacleElements[obstacle.id] = element;
+            });
+        }
+        
+        // Agujeros
+        this.holeElements = {};
+        if (this.holeContainer) {
+            this.holeContainer.innerHTML = '';
+            
+            (world.holes || []).forEach(hole => {
+                const element = document.createElement('div');
+                element.className = 'hole absolute rounded-full';
+                element.dataset.id = hole.id;
+                
+                this.holeContainer.appendChild(element);
+                this.holeElements[hole.id] = element;
+            });
+        }
+        
+        // Zonas de suelo, con una clase por material
+        this.zoneElements = {};
+        if (this.zoneContainer) {
+            this.zoneContainer.innerHTML = '';
+            
+            (world.zones || []).forEach(zone => {
+                const element = document.createElement('div');
+                element.className = `zone zone-${zone.material} absolute`;
+                element.dataset.id = zone.id;
+                element.dataset.material = zone.material;
+                
+                this.zoneContainer.appendChild(element);
+                this.zoneElements[zone.id] = element;
+            });
+        }
+        
+        // Disparadores visibles: regiones, placas de presión y llaves (los
+        // temporizadores no se dibujan)
+        this.triggerElements = {};
+        if (this.triggerContainer) {
+            this.triggerContainer.innerHTML = '';
+            
+            (world.triggers || []).forEach(trigger => {
+                if (trigger.type === 'timer') return;
+                
+                const element = document.createElement('div');
+                element.className = trigger.type === 'key' ?
+                    'trigger trigger-key absolute rounded-full' :
+                    `trigger trigger-${trigger.type} absolute`;
+                element.dataset.id = trigger.id;
+                
+                this.triggerContainer.appendChild(element);
+                this.triggerElements[trigger.id] = element;
+            });
+        }
+        
+        // Monedas y estrellas
+        this.collectibleElements = {};
+        if (this.collectibleContainer) {
+            this.collectibleContainer.innerHTML = '';
+            
+            (world.collectibles || []).forEach(item => {
+                const element = document.createElement('div');
+                element.className = `collectible collectible-${item.type} absolute rounded-full`;
+                element.dataset.id = item.id;
+                
+                this.collectibleContainer.appendChild(element);
+                this.collectibleElements[item.id] = element;
+            });
+        }
+        
+        // Banderas de los puntos de control
+        this.checkpointElements = {};
+        if (this.checkpointContainer) {
+            this.checkpointContainer.innerHTML = '';
+            
+            (world.checkpoints || []).forEach(checkpoint => {
+                const element = document.createElement('div');
+                element.className = 'checkpoint absolute rounded-full';
+                element.dataset.id = checkpoint.id;
+                
+                this.checkpointContainer.appendChild(element);
+                this.checkpointElements[checkpoint.id] = element;
+            });
+        }
+        
+        // Enemigos: se colocan en cada fotograma
+        this.enemyElements = {};
+        if (this.enemyContainer) {
+            this.enemyContainer.innerHTML = '';
+            
+            (world.enemies || []).forEach(enemy => {
+                const element = document.createElement('div');
+                element.className = 'enemy enemy-patrol absolute rounded-full';
+                element.dataset.id = enemy.id;
+                
+                this.enemyContainer.appendChild(element);
+                this.enemyElements[enemy.id] = element;
+            });
+        }
+        
+        // Potenciadores
+        this.powerupElements = {};
+        if (this.powerupContainer) {
+            this.powerupContainer.innerHTML = '';
+            
+            (world.powerups || []).forEach(powerup => {
+                const element = document.createElement('div');
+                element.className = `powerup powerup-${powerup.type} absolute rounded-full`;
+                element.dataset.id = powerup.id;
+                
+                this.powerupContainer.appendChild(element);
+                this.powerupElements[powerup.id] = element;
+            });
+        }
+        
+        // Peligros: la clase de estado la pone syncHazardState
+        this.hazardElements = {};
+        if (this.hazardContainer) {
+            this.hazardContainer.innerHTML = '';
+            
+            (world.hazards || []).forEach(hazard => {
+                const element = document.createElement('div');
+                element.className = hazard.type === 'laser' ?
+                    'hazard hazard-laser absolute rounded-full' :
+                    `hazard hazard-${hazard.type} absolute`;
+                element.dataset.id = hazard.id;
+                
+                this.hazardContainer.appendChild(element);
+                this.hazardElements[hazard.id] = element;
+            });
+        }
+        
+        // Portales: cada pareja comparte color (el del portal que se dibujó primero)
+        this.portalElements = {};
+        if (this.portalContainer) {
+            this.portalContainer.innerHTML = '';
+            
+            const hues = {};
+            (world.portals || []).forEach((portal, index) => {
+                hues[portal.id] = hues[portal.target] ?? (index * 137) % 360;
+                
+                const element = document.createElement('div');
+                element.className = 'portal absolute rounded-full';
+                element.style.setProperty('--portal-hue', hues[portal.id]);
+                element.dataset.id = portal.id;
+                
+                this.portalContainer.appendChild(element);
+                this.portalElements[portal.id] = element;
+            });
+        }
+        
+        // Campos de fuerza: el viento lleva dentro una franja animada que se
+        // gira hacia donde sopla; los radiales son círculos
+        this.fieldElements = {};
+        if (this.fieldContainer) {
+            this.fieldContainer.innerHTML = '';
+            
+            (world.fields || []).forEach(field => {
+                const element = document.createElement('div');
+                element.className = field.type === 'wind' ?
+                    'field field-wind absolute overflow-hidden' :
+                    `field field-${field.type} absolute rounded-full`;
+                element.classList.toggle('field-ccw', field.direction === 'ccw');
+                element.dataset.id = field.id;
+                
+                if (field.type === 'wind') {
+                    const stream = document.createElement('div');
+                    stream.className = 'field-stream absolute';
+                    element.appendChild(stream);
+                }
+                
+                this.fieldContainer.appendChild(element);
+                this.fieldElements[field.id] = element;
+            });
+        }
+        
+        // Muros (fijos: se colocan en layout y render no los toca)
+        this.wallElements = {};
+        if (this.wallContainer) {
+            const fragment = document.createDocumentFragment();
+            this.wallContainer.innerHTML = '';
+            
+            (world.walls || []).forEach(wall => {
+                const element = document.createElement('div');
+                element.className = 'wall absolute bg-neon-blue rounded-full';
+                element.classList.toggle('bumper', wall.restitution > 1);
+                element.dataset.id = wall.id;
+                
+                fragment.appendChild(element);
+                this.wallElements[wall.id] = element;
+            });
+            
+            this.wallContainer.appendChild(fragment);
+        }
+        
+        this.layout();
+    }
+    
+    /**
+     * Ajusta el tablero al espacio disponible conservando la proporción del
+     * mundo y recoloca los elementos estáticos con la nueva escala
+     */
+    layout() {
+        if (!this.world || !this.board || !this.gameArea) return;
+        
+        const bounds = this.world.bounds;
+        const availableWidth = this.gameArea.clientWidth - this.padding.left - this.padding.right;
+        const availableHeight = this.gameArea.clientHeight - this.padding.top - this.padding.bottom;
+        
+        // La pantalla de juego oculta mide 0: se reintenta al mostrarse
+        if (availableWidth <= 0 || availableHeight <= 0) return;
+        
+        this.scale = Math.min(availableWidth / bounds.width, availableHeight / bounds.height);
+        
+        // El borde del tablero queda por fuera del área jugable
+        const border = this.board.clientLeft;
+        const width = bounds.width * this.scale + border * 2;
+        const height = bounds.height * this.scale + border * 2;
+        
+        Object.assign(this.board.style, {
+            left: `${this.padding.left + (availableWidth - width) / 2}px`,
+            top: `${this.padding.top + (availableHeight - height) / 2}px`,
+            right: 'auto',
+            bottom: 'auto',
+            width: `${width}px`,
+            height: `${height}px`
+        });
+        
+        // Tamaño y forma de los obstáculos (la posición y el giro los pone render)
+        this.world.obstacles.forEach(obstacle => {
+            const element = this.obstacleElements[obstacle.id];
+            if (element) {
+                this.layoutObstacle(obstacle, element);
+            }
+        });
+        
+        // Zonas de suelo (fijas)
+        (this.world.zones || []).forEach(zone => {
+            const element = this.zoneElements[zone.id];
+            if (element) {
+                this.layoutRegion(zone, element);
+            }
+        });
+        
+        // Campos de fuerza (fijos)
+        (this.world.fields || []).forEach(field => {
+            const element = this.fieldElements[field.id];
+            if (element) {
+                this.layoutField(field, element);
+            }
+        });
+        
+        // Muros: una barra con extremos redondeados girada sobre su centro
+        (this.world.walls || []).forEach(wall => {
+            const element = this.wallElements[wall.id];
+            if (element) {
+                const length = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1) + wall.thickness;
+                const centerX = (wall.x1 + wall.x2) / 2;
+                const centerY = (wall.y1 + wall.y2) / 2;
+                
+                Object.assign(element.style, {
+                    left: `${(centerX - length / 2) * this.scale}px`,
+                    top: `${(centerY - wall.thickness / 2) * this.scale}px`,
+                    width: `${length * this.scale}px`,
+                    height: `${wall.thickness * this.scale}px`,
+                    rotate: `${Math.atan2(wall.y2 - wall.y1, wall.x2 - wall.x1)}rad`
+                });
+            }
+        });
+        
+        // Agujeros
+        (this.world.holes || []).forEach(hole => {
+            const element = this.holeElements[hole.id];
+            if (element) {
+                Object.assign(element.style, {
+                    left: `${(hole.x - hole.radius) * this.scale}px`,
+                    top: `${(hole.y - hole.radius) * this.scale}px`,
+                    width: `${hole.radius * 2 * this.scale}px`,
+                    height: `${hole.radius * 2 * this.scale}px`
+                });
+            }
+        });
+        
+        // Disparadores (fijos)
+        (this.world.triggers || []).forEach(trigger => {
+            const element = this.triggerElements[trigger.id];
+            if (!element) return;
+            
+            if (trigger.type === 'key') {
+                Object.assign(element.style, {
+                    left: `${(trigger.x - trigger.radius) * this.scale}px`,
+                    top: `${(trigger.y - trigger.radius) * this.scale}px`,
+                    width: `${trigger.radius * 2 * this.scale}px`,
+                    height: `${trigger.radius * 2 * this.scale}px`
+                });
+            } else {
+                this.layoutRegion(trigger, element);
+            }
+        });
+        
+        // Coleccionables
+        (this.world.collectibles || []).forEach(item => {
+            const element = this.collectibleElements[item.id];
+            if (element) {
+                Object.assign(element.style, {
+                    left: `${(item.x - item.radius) * this.scale}px`,
+                    top: `${(item.y - item.radius) * this.scale}px`,
+                    width: `${item.radius * 2 * this.scale}px`,
+                    height: `${item.radius * 2 * this.scale}px`
+                });
+            }
+        });
+        
+        // Puntos de control
+        (this.world.checkpoints || []).forEach(checkpoint => {
+            const element = this.checkpointElements[checkpoint.id];
+            if (element) {
+                Object.assign(element.style, {
+                    left: `${(checkpoint.x - checkpoint.radius) * this.scale}px`,
+                    top: `${(checkpoint.y - checkpoint.radius) * this.scale}px`,
+                    width: `${checkpoint.radius * 2 * this.scale}px`,
+                    height: `${checkpoint.radius * 2 * this.scale}px`
+                });
+            }
+        });
+        
+        // Potenciadores
+        (this.world.powerups || []).forEach(powerup => {
+            const element = this.powerupElements[powerup.id];
+            if (element) {
+                Object.assign(element.style, {
+                    left: `${(powerup.x - powerup.radius) * this.scale}px`,
+                    top: `${(powerup.y - powerup.radius) * this.scale}px`,
+                    width: `${powerup.radius * 2 * this.scale}px`,
+                    height: `${powerup.radius * 2 * this.scale}px`
+                });
+            }
+        });
+        
+        // Peligros: los rayos como los muros, el resto como las zonas
+        (this.world.hazards || []).forEach(hazard => {
+            const element = this.hazardElements[hazard.id];
+            if (!element) return;
+            
+            if (hazard.type !== 'laser') {
+                this.layoutRegion(hazard, element);
+                return;
+            }
+            
+            const length = Math.hypot(hazard.x2 - hazard.x1, hazard.y2 - hazard.y1) + hazard.thickness;
+            Object.assign(element.style, {
+                left: `${((hazard.x1 + hazard.x2) / 2 - length / 2) * this.scale}px`,
+                top: `${((hazard.y1 + hazard.y2) / 2 - hazard.thickness / 2) * this.scale}px`,
+                width: `${length * this.scale}px`,
+                height: `${hazard.thickness * this.scale}px`,
+                rotate: `${Math.atan2(hazard.y2 - hazard.y1, hazard.x2 - hazard.x1)}rad`
+            });
+        });
+        
+        // Portales
+        (this.world.portals || []).forEach(portal => {
+            const element = this.portalElements[portal.id];
+            if (element) {
+                Object.assign(element.style, {
+                    left: `${(portal.x - portal.radius) * this.scale}px`,
+                    top: `${(portal.y - portal.radius) * this.scale}px`,
+                    width: `${portal.radius * 2 * this.scale}px`,
+                    height: `${portal.radius * 2 * this.scale}px`
+                });
+            }
+        });
+        
+        // Meta
+        if (this.goalElement && this.world.goal) {
+            const goal = this.world.goal;
+            Object.assign(this.goalElement.style, {
+                left: `${(goal.x - goal.radius) * this.scale}px`,
+                top: `${(goal.y - goal.radius) * this.scale}px`,
+                width: `${goal.radius * 2 * this.scale}px`,
+                height: `${goal.radius * 2 * this.scale}px`
+            });
+        }
+        
+        this.syncTriggerState();
+        this.syncHazardState();
+        this.render(1);
+    }
+    
+    /**
+     * Refleja si cada peligro está apagado, avisando o encendido
+     */
+    syncHazardState() {
+        this.physics?.hazards?.hazards.forEach(hazard => {
+            const element = this.hazardElements[hazard.id];
+            if (!element) return;
+            
+            element.classList.toggle('hazard-warning', hazard.state === 'warning');
+            element.classList.toggle('hazard-active', hazard.state === 'active');
+        });
+    }
+    
+    /**
+     * Refleja el estado que cambian los disparadores: puertas abiertas, meta
+     * bloqueada, llaves recogidas y placas pisadas
+     */
+    syncTriggerState() {
+        if (!this.physics) return;
+        
+        this.physics.walls.forEach(wall => {
+            this.wallElements[wall.id]?.classList.toggle('door-open', wall.open);
+        });
+        this.physics.obstacles.forEach(obstacle => {
+            this.obstacleElements[obstacle.id]?.classList.toggle('door-open', obstacle.open);
+        });
+        this.goalElement?.classList.toggle('goal-locked', Boolean(this.physics.goal?.locked));
+        
+        const triggers = this.physics.triggers;
+        triggers?.triggers.forEach(trigger => {
+            const element = this.triggerElements[trigger.id];
+            if (!element) return;
+            
+            element.classList.toggle('trigger-collected', triggers.collectedKeys.includes(trigger.id));
+            element.classList.toggle('trigger-pressed', trigger.pressed);
+        });
+    }
+    
+    /**
+     * Dimensiona el elemento de un obstáculo. Los rectángulos giran alrededor
+     * de su centro; los polígonos se recortan con clip-path y giran alrededor
+     * de su posición, como en PhysicsEngine.createShape
+     * @param {Object} obstacle - Obstáculo de la descripción del mundo
+     * @param {HTMLElement} element - Elemento del obstáculo
+     */
+    layoutObstacle(obstacle, element) {
+        if (obstacle.shape !== 'polygon') {
+            this.obstacleOffsets[obstacle.id] = { x: 0, y: 0 };
+            element.style.width = `${obstacle.width * this.scale}px`;
+            element.style.height = `${obstacle.height * this.scale}px`;
+            return;
+        }
+        
+        const polygon = this.getPolygonLayout(obstacle.points);
+        
+        this.obstacleOffsets[obstacle.id] = { x: polygon.minX, y: polygon.minY };
+        
+        Object.assign(element.style, polygon.style, {
+            transformOrigin: `${-polygon.minX * this.scale}px ${-polygon.minY * this.scale}px`
+        });
+    }
+    
+    /**
+     * Coloca el elemento de una región fija (zona o viento), rectangular o poligonal
+     * @param {Object} region - {shape, x, y, width, height | points}
+     * @param {HTMLElement} element - Elemento de la región
+     * @returns {Object} - Tamaño dibujado en unidades del mundo {width, height}
+     */
+    layoutRegion(region, element) {
+        if (region.shape === 'polygon') {
+            const polygon = this.getPolygonLayout(region.points);
+            Object.assign(element.style, polygon.style, {
+                left: `${(region.x + polygon.minX) * this.scale}px`,
+                top: `${(region.y + polygon.minY) * this.scale}px`
+            });
+            return { width: polygon.width, height: polygon.height };
+        }
+        
+        Object.assign(element.style, {
+            left: `${region.x * this.scale}px`,
+            top: `${region.y * this.scale}px`,
+            width: `${region.width * this.scale}px`,
+            height: `${region.height * this.scale}px`
+        });
+        return { width: region.width, height: region.height };
+    }
+    
+    /**
+     * Coloca el elemento de un campo de fuerza
+     * @param {Object} field - Campo del mundo
+     * @param {HTMLElement} element - Elemento del campo
+     */
+    layoutField(field, element) {
+        if (field.type !== 'wind') {
+            Object.assign(element.style, {
+                left: `${(field.x - field.radius) * this.scale}px`,
+                top: `${(field.y - field.radius) * this.scale}px`,
+                width: `${field.radius * 2 * this.scale}px`,
+                height: `${field.radius * 2 * this.scale}px`
+            });
+            return;
+        }
+        
+        // La franja cubre la diagonal de la región para que girada no deje huecos
+        const size = this.layoutRegion(field, element);
+        const diagonal = Math.hypot(size.width, size.height);
+        const stream = element.firstElementChild;
+        
+        Object.assign(stream.style, {
+            left: `${(size.width - diagonal) / 2 * this.scale}px`,
+            top: `${(size.height - diagonal) / 2 * this.scale}px`,
+            width: `${diagonal * this.scale}px`,
+            height: `${diagonal * this.scale}px`,
+            rotate: `${field.angle || 0}rad`
+        });
+    }
+    
+    /**
+     * Caja y recorte (clip-path) de un elemento que dibuja un polígono
+     * @param {Array} points - Puntos relativos a la posición del elemento del mundo
+     * @returns {Object} - {minX, minY, width, height, style: {width, height, clipPath}}
+     */
+    getPolygonLayout(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        
+        const corners = points
+            .map(point => `${(point.x - minX) * this.scale}px ${(point.y - minY) * this.scale}px`)
+            .join(', ');
+        
+        return {
+            minX,
+            minY,
+            width,
+            height,
+            style: {
+                width: `${width * this.scale}px`,
+                height: `${height * this.scale}px`,
+                clipPath: `polygon(${corners})`
+            }
+        };
+    }
+    
+    /**
+     * Conecta la vista a un motor de físicas
+     * @param {PhysicsEngine} physics - Motor a dibujar
+     */
+    attach(physics) {
+        this.physics = physics;
+        
+        physics.on('render', ({ alpha }) => this.render(alpha));
+        physics.on('wallHit', () => this.onWallHit());
+        physics.on('obstacleHit', ({ obstacle }) => this.onObstacleHit(obstacle));
+        physics.on('holeFall', () => this.onHoleFall());
+        physics.on('teleport', () => this.onTeleport());
+        physics.on('trigger', ({ trigger, released }) => this.onTrigger(trigger, released));
+        physics.on('triggerAction', () => this.syncTriggerState());
+        physics.on('collect', ({ item }) => this.onCollect(item));
+        physics.on('checkpoint', ({ checkpoint }) => this.onCheckpoint(checkpoint));
+        physics.on('powerup', ({ pickup }) => this.onPowerUp(pickup));
+        physics.on('enemyState', ({ enemy, state, previous }) => this.onEnemyState(enemy, state, previous));
+        physics.on('enemyHit', ({ enemy }) => this.onEnemyHit(enemy));
+        physics.on('hazardState', () => this.syncHazardState());
+        physics.on('hazardHit', () => this.onHazardHit());
+        physics.on('goalReached', () => this.onGoalReached());
+    }
+    
+    /**
+     * Convierte coordenadas del mundo a píxeles del tablero
+     * @param {number} x - X en el mundo
+     * @param {number} y - Y en el mundo
+     * @returns {Object} - {x, y} en píxeles
+     */
+    worldToView(x, y) {
+        return {
+            x: x * this.scale,
+            y: y * this.scale
+        };
+    }
+    
+    /**
+     * Dibuja el estado actual interpolado
+     * @param {number} alpha - Fracción (0 a 1) entre el tick anterior y el actual
+     */
+    render(alpha = 1) {
+        if (!this.physics) return;
+        
+        this.physics.obstacles.forEach(obstacle => {
+            const element = this.obstacleElements[obstacle.id];
+            if (element) {
+                const offset = this.obstacleOffsets[obstacle.id] || { x: 0, y: 0 };
+                const x = obstacle.prevX + (obstacle.x - obstacle.prevX) * alpha + offset.x;
+                const y = obstacle.prevY + (obstacle.y - obstacle.prevY) * alpha + offset.y;
+                const angle = obstacle.prevAngle + (obstacle.angle - obstacle.prevAngle) * alpha;
+                element.style.left = `${x * this.scale}px`;
+                element.style.top = `${y * this.scale}px`;
+                
+                // "rotate" es independiente de "transform", que usa la animación shake
+                element.style.rotate = angle ? `${angle}rad` : '';
+            }
+        });
+        
+        // Los portales en espera se apagan
+        this.physics.portals.forEach(portal => {
+            this.portalElements[portal.id]?.classList.toggle('portal-cooldown', this.physics.isPortalCoolingDown(portal));
+        });
+        
+        // Enemigos, interpolados como la bolita
+        (this.physics.enemies?.enemies || []).forEach(enemy => {
+            const element = this.enemyElements[enemy.id];
+            if (!element) return;
+            
+            const x = enemy.prevX + (enemy.x - enemy.prevX) * alpha;
+            const y = enemy.prevY + (enemy.y - enemy.prevY) * alpha;
+            const size = enemy.radius * 2 * this.scale;
+            element.style.width = `${size}px`;
+            element.style.height = `${size}px`;
+            element.style.left = `${(x - enemy.radius) * this.scale}px`;
+            element.style.top = `${(y - enemy.radius) * this.scale}px`;
+        });
+        
+        const ball = this.physics.ball;
+        if (ball && this.ballElement) {
+            const position = ball.getInterpolatedPosition(alpha);
+            const size = position.radius * 2 * this.scale;
+            this.ballElement.style.width = `${size}px`;
+            this.ballElement.style.height = `${size}px`;
+            this.ballElement.style.left = `${(position.x - position.radius) * this.scale}px`;
+            this.ballElement.style.top = `${(position.y - position.radius) * this.scale}px`;
+            
+            // Se encoge y se apaga al caer en un agujero
+            const fall = this.physics.getFallProgress();
+            this.ballElement.style.scale = fall ? `${1 - fall}` : '';
+            this.ballElement.style.opacity = fall ? `${1 - fall * 0.5}` : '';
+            
+            // Aura del escudo y estela del potenciador de velocidad
+            const powerups = this.physics.powerups;
+            this.ballElement.classList.toggle('ball-shield', Boolean(powerups?.isActive('shield')));
+            this.ballElement.classList.toggle('ball-boost', Boolean(powerups?.isActive('boost')));
+        }
+    }
+    
+    /**
+     * Efectos cuando la bolita choca con un borde del tablero
+     */
+    onWallHit() {
+        this.shakeElement(this.ballElement, 500);
+        this.vibrate(100);
+    }
+    
+    /**
+     * Efectos cuando la bolita golpea un obstáculo
+     * @param {Object} obstacle - Obstáculo tocado
+     */
+    onObstacleHit(obstacle) {
+        this.shakeElement(this.ballElement, 500);
+        this.shakeElement(this.obstacleElements[obstacle.id], 300);
+        
+        // Vibración más intensa para obstáculos
+        this.vibrate([100, 50, 100]);
+    }
+    
+    /**
+     * Hace parpadear la bolita mientras los golpes no le quitan vidas
+     * @param {boolean} active - true mientras dura la invulnerabilidad
+     */
+    setBallInvulnerable(active) {
+        this.ballElement?.classList.toggle('ball-invulnerable', active);
+    }
+    
+    /**
+     * Efectos cuando la bolita cae en un agujero
+     */
+    onHoleFall() {
+        this.vibrate([50, 30, 150]);
+    }
+    
+    /**
+     * Efectos cuando la bolita atraviesa un portal
+     */
+    onTeleport() {
+        this.vibrate(40);
+    }
+    
+    /**
+     * Efectos cuando se recoge una moneda o estrella
+     * @param {Object} item - Coleccionable recogido
+     */
+    onCollect(item) {
+        this.collectibleElements[item.id]?.classList.add('collected');
+        this.vibrate(item.type === 'star' ? [30, 20, 60] : 20);
+    }
+    
+    /**
+     * Cambia el aspecto de un enemigo según lo que está haciendo
+     * @param {Object} enemy - Enemigo
+     * @param {string} state - Estado nuevo (patrol, chase, search, stunned)
+     * @param {string} previous - Estado anterior
+     */
+    onEnemyState(enemy, state, previous) {
+        const element = this.enemyElements[enemy.id];
+        element?.classList.replace(`enemy-${previous}`, `enemy-${state}`);
+    }
+    
+    /**
+     * Efectos cuando un enemigo alcanza la bolita
+     * @param {Object} enemy - Enemigo
+     */
+    onEnemyHit(enemy) {
+        this.shakeElement(this.ballElement, 500);
+        this.shakeElement(this.enemyElements[enemy.id], 300);
+        this.vibrate([100, 50, 100]);
+    }
+    
+    /**
+     * Efectos cuando un peligro encendido alcanza la bolita
+     */
+    onHazardHit() {
+        this.shakeElement(this.ballElement, 500);
+        this.vibrate([80, 40, 80]);
+    }
+    
+    /**
+     * Efectos cuando se recoge un potenciador
+     * @param {Object} pickup - Potenciador recogido
+     */
+    onPowerUp(pickup) {
+        this.powerupElements[pickup.id]?.classList.add('collected');
+        this.vibrate([20, 20, 20]);
+    }
+    
+    /**
+     * Marca la bandera de un punto de control alcanzado
+     * @param {Object} checkpoint - Punto de control
+     */
+    onCheckpoint(checkpoint) {
+        this.checkpointElements[checkpoint.id]?.classList.add('checkpoint-reached');
+        this.vibrate([40, 30, 40]);
+    }
+    
+    /**
+     * Efectos cuando actúa un disparador
+     * @param {Object} trigger - Disparador
+     * @param {boolean} released - true si es una placa que se ha dejado de pisar
+     */
+    onTrigger(trigger, released) {
+        this.syncTriggerState();
+        
+        if (trigger.type === 'key') {
+            this.vibrate([30, 30, 30]);
+        } else if (trigger.type === 'plate' && !released) {
+            this.vibrate(30);
+        }
+    }
+    
+    /**
+     * Efectos cuando la bolita llega a la meta
+     */
+    onGoalReached() {
+        this.goalElement?.classList.add('animate-pulse');
+        
+        // Vibración de victoria
+        this.vibrate([200, 100, 200, 100, 200]);
+    }
+    
+    /**
+     * Aplica la animación de sacudida a un elemento
+     * @param {HTMLElement} element - Elemento a sacudir
+     * @param {number} duration - Duración en milisegundos
+     */
+    shakeElement(element, duration) {
+        if (!element) return;
+        
+        element.classList.add('shake');
+        setTimeout(() => {
+            element.classList.remove('shake');
+        }, duration);
+    }
+    
+    /**
+     * Vibra el dispositivo si lo soporta
+     * @param {number|Array} pattern - Patrón de vibración
+     */
+    vibrate(pattern) {
+        if (navigator.vibrate) {
+            navigator.vibrate(pattern);
+        }
+    }
+    
+    /**
+     * Quita los efectos pendientes y dibuja el estado inicial
+     */
+    reset() {
+        Object.values(this.obstacleElements).forEach(element => {
+            element.classList.remove('shake', 'animate-pulse');
+        });
+        
+        this.goalElement?.classList.remove('animate-pulse');
+        this.ballElement?.classList.remove('shake', 'ball-invulnerable');
+        Object.values(this.collectibleElements).forEach(element => {
+            element.classList.remove('collected');
+        });
+        Object.values(this.checkpointElements).forEach(element => {
+            element.classList.remove('checkpoint-reached');
+        });
+        Object.values(this.powerupElements).forEach(element => {
+            element.classList.remove('collected');
+        });
+        Object.values(this.enemyElements).forEach(element => {
+            element.className = 'enemy enemy-patrol absolute rounded-full';
+        });
+        
+        this.syncTriggerState();
+        this.syncHazardState();
+        this.render(1);
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Tilt Runner - Score Keeper
+ * Puntuación de una partida: segundos que sobran, objetos recogidos y
+ * golpes contra obstáculos, y las estrellas (1 a 3) que vale el resultado
+ */
+
+class ScoreKeeper {
+    /**
+     * @param {Object} rules - Reglas del nivel (ver setRules)
+     */
+    constructor(rules = {}) {
+        this.setRules(rules);
+        this.reset();
+    }
+    
+    /**
+     * Cambia las reglas de puntuación (las de cada nivel)
+     * @param {Object} rules - {secondValue, hitPenalty, stars: [dos, tres]}
+     */
+    setRules(rules) {
+        this.rules = {
+            secondValue: 10, // Puntos por segundo que sobra
+            hitPenalty: 15, // Puntos que resta cada golpe
+            stars: [0, 0], // Puntuación mínima para dos y tres estrellas
+            ...rules
+        };
+    }
+    
+    /**
+     * Empieza una partida nueva
+     */
+    reset() {
+        this.collected = []; // [{id, type, value}]
+        this.hits = 0;
+    }
+    
+    /**
+     * Suma un objeto recogido
+     * @param {Object} item - Coleccionable {id, type, value}
+     */
+    addCollectible(item) {
+        this.collected.push({ id: item.id, type: item.type, value: item.value });
+    }
+    
+    /**
+     * Cuenta un golpe contra un obstáculo
+     */
+    addHit() {
+        this.hits++;
+    }
+    
+    /**
+     * Calcula la puntuación con el tiempo que queda
+     * @param {number} timeRemaining - Segundos restantes
+     * @returns {Object} - {time, collectibles, collectedCount, hits, hitPenalty, total, stars}
+     */
+    compute(timeRemaining) {
+        const time = Math.max(0, Math.floor(timeRemaining)) * this.rules.secondValue;
+        const collectibles = this.collected.reduce((sum, item) => sum + item.value, 0);
+        const hitPenalty = this.hits * this.rules.hitPenalty;
+        const total = Math.max(0, time + collectibles - hitPenalty);
+        
+        return {
+            time,
+            collectibles,
+            collectedCount: this.collected.length,
+            hits: this.hits,
+            hitPenalty,
+            total,
+            stars: this.getStars(total)
+        };
+    }
+    
+    /**
+     * Estrellas de una puntuación: terminar el nivel ya vale una
+     * @param {number} total - Puntuación final
+     * @returns {number} - De 1 a 3
+     */
+    getStars(total) {
+        const [two, three] = this.rules.stars;
+        if (total >= three) return 3;
+        if (total >= two) return 2;
+        return 1;
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoreKeeper;
+}
@@ -0,0 +1,208 @@
+/**
+ * Tilt Runner - Sensor Filter
+ * Limpia las lecturas de orientación (beta, gamma) antes de convertirlas en
+ * inclinación: los sensores baratos tiemblan aunque el móvil esté quieto
+ *
+ * Modos:
+ *   none    - las lecturas pasan tal cual
+ *   lowPass - filtro de paso bajo con corte fijo
+ *   oneEuro - filtro One-Euro: suaviza mucho en reposo y poco al moverse
+ *             rápido, para no añadir retardo. "speedCoefficient" dice cuánto
+ *             sube el corte con la velocidad
+ *
+ * El corte (mínimo, en el One-Euro) sale de "smoothing": de 5 Hz con 0 a
+ * 0,5 Hz con 0,9. Se aplica según el tiempo entre lecturas, así que el mismo
+ * ajuste suaviza igual con un sensor de 60 Hz que con uno de 200 Hz
+ *
+ * Un salto de más de "maxJump" grados entre dos lecturas se descarta como
+ * un error del sensor; si se repite "maxRejections" veces seguidas es un
+ * giro de verdad y se acepta
+ */
+
+class SensorFilter {
+    /**
+     * @param {Object} settings - {mode, smoothing, speedCoefficient, maxJump}
+     */
+    constructor(settings = {}) {
+        this.modes = ['none', 'lowPass', 'oneEuro'];
+        
+        this.settings = {
+            mode: 'oneEuro',
+            smoothing: 0.5,
+            speedCoefficient: 0.05,
+            maxJump: 40,
+            maxRejections: 3
+        };
+        
+        // Corte (Hz) con el que se suaviza la velocidad en el One-Euro
+        this.derivativeCutoff = 1;
+        
+        this.reset();
+        this.configure(settings);
+    }
+    
+    /**
+     * Ajusta el filtro. Los valores fuera de rango se recortan y los que
+     * faltan se dejan como estaban. Solo un cambio de modo olvida las
+     * lecturas anteriores; la frecuencia medida y los descartes se conservan
+     * @param {Object} settings - {mode, smoothing (0-0.95), speedCoefficient (0-1), maxJump (5-180)}
+     */
+    configure(settings = {}) {
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(Number(value)) ? Math.max(min, Math.min(max, Number(value))) : fallback;
+        
+        if (this.modes.includes(settings.mode) && settings.mode !== this.settings.mode) {
+            this.settings.mode = settings.mode;
+            this.axes = null;
+            this.rejectedStreak = 0;
+        }
+        this.settings.smoothing = clamp(settings.smoothing, 0, 0.95, this.settings.smoothing);
+        this.settings.speedCoefficient = clamp(settings.speedCoefficient, 0, 1, this.settings.speedCoefficient);
+        this.settings.maxJump = clamp(settings.maxJump, 5, 180, this.settings.maxJump);
+    }
+    
+    /**
+     * @returns {Object} - Copia de los ajustes
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+    
+    /**
+     * Olvida las lecturas anteriores (el siguiente valor pasa tal cual)
+     */
+    reset() {
+        // Último valor filtrado y su velocidad por eje: {value, speed}
+        this.axes = null;
+        this.lastTime = null;
+        this.rejectedStreak = 0;
+        this.rejected = 0;
+        this.sampleRate = 0;
+    }
+    
+    /**
+     * Filtra una lectura
+     * @param {number} beta - Inclinación frontal/trasera (grados)
+     * @param {number} gamma - Inclinación izquierda/derecha (grados)
+     * @param {number} time - Instante de la lectura (ms)
+     * @returns {Object|null} - {beta, gamma} filtrados, o null si se descarta
+     */
+    filter(beta, gamma, time) {
+        const elapsed = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        
+        // Tras una pausa larga (controles deshabilitados, pestaña oculta) lo
+        // anterior ya no sirve
+        if (elapsed > 1) {
+            this.axes = null;
+        }
+        
+        if (this.axes && this.isOutlier(beta, gamma)) {
+            this.rejected++;
+            return null;
+        }
+        
+        // Media móvil de la frecuencia de lecturas
+        if (elapsed > 0 && elapsed <= 1) {
+            const rate = 1 / elapsed;
+            this.sampleRate = this.sampleRate ? this.sampleRate * 0.9 + rate * 0.1 : rate;
+        }
+        this.lastTime = time;
+        
+        if (!this.axes || this.settings.mode === 'none') {
+            this.axes = {
+                beta: { value: beta, speed: 0 },
+                gamma: { value: gamma, speed: 0 }
+            };
+            return { beta, gamma };
+        }
+        
+        // Sin tiempo entre lecturas se supone la frecuencia medida (o 60 Hz)
+        const step = elapsed > 0 ? elapsed : 1 / (this.sampleRate || 60);
+        
+        return {
+            beta: this.filterAxis(this.axes.beta, beta, step),
+            gamma: this.filterAxis(this.axes.gamma, gamma, step)
+        };
+    }
+    
+    /**
+     * Comprueba si una lectura salta demasiado respecto a la anterior. Tras
+     * varios saltos seguidos se acepta y se empieza de nuevo desde ella
+     * @param {number} beta - Inclinación frontal/trasera (grados)
+     * @param {number} gamma - Inclinación izquierda/derecha (grados)
+     * @returns {boolean} - true si hay que descartarla
+     */
+    isOutlier(beta, gamma) {
+        const jump = Math.max(
+            Math.abs(beta - this.axes.beta.value),
+            Math.abs(gamma - this.axes.gamma.value)
+        );
+        
+        if (jump <= this.settings.maxJump) {
+            this.rejectedStreak = 0;
+            return false;
+        }
+        
+        if (this.rejectedStreak < this.settings.maxRejections) {
+            this.rejectedStreak++;
+            return true;
+        }
+        
+        this.rejectedStreak = 0;
+        this.axes = null;
+        return false;
+    }
+    
+    /**
+     * Filtra un eje según el modo
+     * @param {Object} axis - {value, speed}: estado del eje (se actualiza)
+     * @param {number} value - Lectura nueva
+     * @param {number} step - Segundos desde la lectura anterior
+     * @returns {number} - Valor filtrado
+     */
+    filterAxis(axis, value, step) {
+        const settings = this.settings;
+        const minCutoff = 5 * (1 - settings.smoothing);
+        
+        if (settings.mode === 'lowPass') {
+            axis.value += this.getAlpha(minCutoff, step) * (value - axis.value);
+            return axis.value;
+        }
+        
+        // One-Euro: el corte sube con la velocidad (suavizada) del eje
+        const speed = (value - axis.value) / step;
+        axis.speed += this.getAlpha(this.derivativeCutoff, step) * (speed - axis.speed);
+        
+        const cutoff = minCutoff + settings.speedCoefficient * Math.abs(axis.speed);
+        axis.value += this.getAlpha(cutoff, step) * (value - axis.value);
+        return axis.value;
+    }
+    
+    /**
+     * Peso de la lectura nueva en un filtro de paso bajo
+     * @param {number} cutoff - Frecuencia de corte (Hz)
+     * @param {number} step - Segundos desde la lectura anterior
+     * @returns {number} - De 0 a 1
+     */
+    getAlpha(cutoff, step) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / step);
+    }
+    
+    /**
+     * Obtiene información de debug del filtro
+     * @returns {Object} - Información de debug
+     */
+    getDebugInfo() {
+        return {
+            ...this.settings,
+            sampleRate: Math.round(this.sampleRate),
+            rejected: this.rejected
+        };
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensorFilter;
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Tilt Runner - Headless Simulator
+ * Simula un mundo completo desde la línea de comandos, sin navegador.
+ * Acepta tanto niveles (levels/*.json, con "version") como mundos sueltos.
+ *
+ * Uso:
+ *   node simulate.js <nivel.json|mundo.json> [--input x,y] [--inputs entradas.json]
+ *                    [--ticks N] [--tick-rate N] [--ball x,y] [--velocity vx,vy]
+ *
+ * --input fija una inclinación constante (-1 a 1 por eje); --inputs lee una
+ * lista JSON de {x, y} por tick (se repite la última). --ball y --velocity
+ * colocan la bolita y la lanzan (velocidad por fotograma de 60 Hz), por
+ * ejemplo contra un rebotador. Imprime un resumen JSON.
+ *
+ * Ejemplo: la bolita sale del rebote inferior del nivel 6 por encima de la
+ * velocidad máxima (8) y la fricción la va frenando
+ *   node simulate.js levels/level-06.json --ball 250,470 --velocity 0,8 --input 0,1 --ticks 3
+ */
+
+const fs = require('fs');
+const PhysicsEngine = require('./physics.js');
+const { LevelLoader } = require('./levels.js');
+
+/**
+ * Lee los argumentos de la línea de comandos
+ * @param {Array} argv - Argumentos sin "node simulate.js"
+ * @returns {Object} - Opciones de la simulación
+ */
+function parseArguments(argv) {
+    const options = {
+        worldFile: null,
+        inputs: [{ x: 0, y: 0 }],
+        ticks: null,
+        tickRate: 60,
+        ball: null,
+        velocity: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--input': {
+                const [x, y] = argv[++i].split(',').map(Number);
+                options.inputs = [{ x, y }];
+                break;
+            }
+            case '--inputs':
+                options.inputs = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+                break;
+            case '--ticks':
+                options.ticks = Number(argv[++i]);
+                break;
+            case '--tick-rate':
+                options.tickRate = Number(argv[++i]);
+                break;
+            case '--ball': {
+                const [x, y] = argv[++i].split(',').map(Number);
+                options.ball = { x, y };
+                break;
+            }
+            case '--velocity': {
+                const [x, y] = argv[++i].split(',').map(Number);
+                options.velocity = { x, y };
+                break;
+            }
+            default:
+                options.worldFile = argv[i];
+        }
+    }
+    
+    return options;
+}
+
+const options = parseArguments(process.argv.slice(2));
+
+if (!options.worldFile) {
+    console.error('Uso: node simulate.js <nivel.json|mundo.json> [--input x,y] [--inputs entradas.json] [--ticks N] [--tick-rate N] [--ball x,y] [--velocity vx,vy]');
+    process.exit(1);
+}
+
+const data = JSON.parse(fs.readFileSync(options.worldFile, 'utf8'));
+
+// Los niveles se validan antes de convertirlos en mundo
+let world = data;
+if (data.version !== undefined) {
+    const loader = new LevelLoader();
+    try {
+        world = loader.toWorld(loader.validate(data));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+const physics = new PhysicsEngine();
+
+physics.setTickRate(options.tickRate);
+physics.loadWorld(world);
+
+if (options.ball) {
+    physics.ball.respawn(options.ball.x, options.ball.y);
+}
+if (options.velocity) {
+    physics.ball.vx = options.velocity.x;
+    physics.ball.vy = options.velocity.y;
+}
+
+const result = physics.simulate(options.inputs, options.ticks || physics.tickRate * 60);
+console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,84 @@
+/**
+ * Tilt Runner - Spatial Hash
+ * Fase amplia de colisiones: reparte los elementos en celdas de una rejilla
+ * para que la bolita solo se compruebe contra lo que tiene cerca
+ */
+
+class SpatialHash {
+    /**
+     * @param {number} cellSize - Lado de cada celda en unidades del mundo
+     */
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        
+        // Celdas ocupadas: clave "columna,fila" → lista de elementos
+        this.cells = new Map();
+        this.count = 0;
+    }
+    
+    /**
+     * Vacía la rejilla
+     */
+    clear() {
+        this.cells.clear();
+        this.count = 0;
+    }
+    
+    /**
+     * Añade un elemento a todas las celdas que toca su caja
+     * @param {*} item - Elemento a guardar
+     * @param {Object} box - Caja {minX, minY, maxX, maxY}
+     */
+    insert(item, box) {
+        this.forEachCell(box, key => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(item);
+        });
+        this.count++;
+    }
+    
+    /**
+     * Busca los elementos cuyas celdas se cruzan con una caja. Puede devolver
+     * elementos que no la tocan (la fase estrecha los descarta), pero nunca
+     * deja fuera uno que sí
+     * @param {Object} box - Caja {minX, minY, maxX, maxY}
+     * @param {Set} found - Conjunto donde acumular resultados (evita duplicados)
+     * @returns {Set} - Elementos candidatos
+     */
+    query(box, found = new Set()) {
+        this.forEachCell(box, key => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach(item => found.add(item));
+            }
+        });
+        return found;
+    }
+    
+    /**
+     * Recorre las claves de las celdas que cubre una caja
+     * @param {Object} box - Caja {minX, minY, maxX, maxY}
+     * @param {Function} callback - Recibe la clave de cada celda
+     */
+    forEachCell(box, callback) {
+        const minColumn = Math.floor(box.minX / this.cellSize);
+        const maxColumn = Math.floor(box.maxX / this.cellSize);
+        const minRow = Math.floor(box.minY / this.cellSize);
+        const maxRow = Math.floor(box.maxY / this.cellSize);
+        
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                callback(`${column},${row}`);
+            }
+        }
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialHash;
+}
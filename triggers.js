@@ -0,0 +1,266 @@
+/**
+ * Tilt Runner - Trigger System
+ * Disparadores del nivel y las acciones que provocan: abrir y cerrar
+ * puertas (muros u obstáculos), arrancar y parar obstáculos y bloquear o
+ * desbloquear la meta. Usa el reloj de la física, así que es determinista
+ *
+ * Disparadores:
+ *   enter - la bolita entra en una región
+ *   exit  - la bolita sale de una región
+ *   plate - placa de presión: actúa al pisarla y deshace sus acciones al soltarla
+ *   key   - llave: se recoge al tocarla y actúa una sola vez
+ *   timer - actúa cada "interval" segundos
+ *
+ * Acciones: open, close, toggle (puertas), start, stop (movimiento de un
+ * obstáculo), unlock, lock (meta). Con "duration" se deshacen pasado ese
+ * tiempo, lo que permite puertas que se cierran solas
+ */
+
+class TriggerSystem {
+    /**
+     * @param {PhysicsEngine} engine - Motor cuyos elementos controlan los disparadores
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.triggers = [];
+        
+        // Llaves recogidas (ids de disparadores "key") y acciones pendientes
+        // de deshacer: [{time, action, trigger}]
+        this.collectedKeys = [];
+        this.scheduled = [];
+    }
+    
+    /**
+     * Prepara los disparadores de un mundo recién cargado
+     * @param {Array} triggers - [{id, type, shape, x, y, width, height, points,
+     *                            radius, interval, phase, once, requires, actions}]
+     */
+    load(triggers = []) {
+        this.triggers = triggers.map((trigger, index) => ({
+            id: trigger.id || `trigger-${index}`,
+            type: trigger.type,
+            vertices: this.isRegion(trigger) ? this.engine.createRegion(trigger) : null,
+            x: trigger.x,
+            y: trigger.y,
+            radius: trigger.radius,
+            interval: trigger.interval || 0,
+            phase: trigger.phase || 0,
+            // Las llaves solo se recogen una vez
+            once: trigger.type === 'key' || Boolean(trigger.once),
+            requires: trigger.requires || [],
+            actions: (trigger.actions || []).map(action => ({ ...action })),
+            fired: false,
+            inside: false,
+            pressed: false,
+            nextTime: 0
+        }));
+        
+        this.reset();
+    }
+    
+    /**
+     * Vuelve al estado inicial: sin llaves, sin acciones pendientes y con los
+     * temporizadores a cero
+     */
+    reset() {
+        this.collectedKeys = [];
+        this.scheduled = [];
+        
+        this.triggers.forEach(trigger => {
+            trigger.fired = false;
+            trigger.inside = false;
+            trigger.pressed = false;
+            trigger.nextTime = trigger.interval * (1 - trigger.phase);
+        });
+    }
+    
+    /**
+     * @param {Object} trigger - Disparador
+     * @returns {boolean} - true si se activa con una región
+     */
+    isRegion(trigger) {
+        return trigger.type === 'enter' || trigger.type === 'exit' || trigger.type === 'plate';
+    }
+    
+    /**
+     * Avanza lo que depende solo del reloj: temporizadores y acciones con duración
+     * @param {number} time - Segundos de simulación
+     */
+    update(time) {
+        // Deshacer las acciones cuya duración ha terminado, en orden
+        const due = this.scheduled.filter(entry => entry.time <= time);
+        if (due.length > 0) {
+            this.scheduled = this.scheduled.filter(entry => entry.time > time);
+            due.sort((a, b) => a.time - b.time)
+                .forEach(entry => this.apply(entry.action, entry.trigger));
+        }
+        
+        this.triggers.forEach(trigger => {
+            if (trigger.type !== 'timer' || trigger.interval <= 0) return;
+            
+            while (time >= trigger.nextTime) {
+                trigger.nextTime += trigger.interval;
+                this.fire(trigger, time);
+            }
+        });
+    }
+    
+    /**
+     * Comprueba los disparadores que dependen de la posición de la bolita
+     * @param {Ball} ball - Bolita
+     * @param {number} time - Segundos de simulación
+     */
+    check(ball, time) {
+        this.triggers.forEach(trigger => {
+            if (trigger.type === 'key') {
+                if (trigger.fired) return;
+                
+                const dx = ball.x - trigger.x;
+                const dy = ball.y - trigger.y;
+                const reach = ball.radius + trigger.radius;
+                if (dx * dx + dy * dy < reach * reach && this.fire(trigger, time)) {
+                    this.collectedKeys.push(trigger.id);
+                }
+                return;
+            }
+            
+            if (!trigger.vertices) return;
+            
+            const inside = this.engine.containsPoint(trigger.vertices, ball.x, ball.y);
+            if (inside === trigger.inside) return;
+            trigger.inside = inside;
+            
+            if (trigger.type === 'enter' && inside) {
+                this.fire(trigger, time);
+            } else if (trigger.type === 'exit' && !inside) {
+                this.fire(trigger, time);
+            } else if (trigger.type === 'plate') {
+                if (inside) {
+                    trigger.pressed = this.fire(trigger, time);
+                } else if (trigger.pressed) {
+                    trigger.pressed = false;
+                    this.release(trigger);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Ejecuta las acciones de un disparador si puede actuar
+     * @param {Object} trigger - Disparador
+     * @param {number} time - Segundos de simulación
+     * @returns {boolean} - true si ha actuado
+     */
+    fire(trigger, time) {
+        if (trigger.once && trigger.fired) return false;
+        if (!trigger.requires.every(key => this.collectedKeys.includes(key))) return false;
+        
+        trigger.fired = true;
+        this.engine.emit('trigger', { trigger, released: false });
+        
+        trigger.actions.forEach(action => {
+            this.apply(action, trigger);
+            
+            if (action.duration) {
+                this.scheduled.push({ time: time + action.duration, action: this.invert(action), trigger });
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Deshace las acciones de una placa de presión al dejar de pisarla
+     * @param {Object} trigger - Placa
+     */
+    release(trigger) {
+        this.engine.emit('trigger', { trigger, released: true });
+        
+        trigger.actions.forEach(action => this.apply(this.invert(action), trigger));
+    }
+    
+    /**
+     * Acción que deshace otra
+     * @param {Object} action - Acción
+     * @returns {Object} - Acción contraria
+     */
+    invert(action) {
+        const opposites = {
+            open: 'close',
+            close: 'open',
+            toggle: 'toggle',
+            start: 'stop',
+            stop: 'start',
+            unlock: 'lock',
+            lock: 'unlock'
+        };
+        
+        return { type: opposites[action.type], target: action.target };
+    }
+    
+    /**
+     * Aplica una acción sobre los elementos del motor
+     * @param {Object} action - {type, target}
+     * @param {Object} trigger - Disparador que la provoca
+     */
+    apply(action, trigger) {
+        const engine = this.engine;
+        
+        switch (action.type) {
+            case 'open':
+            case 'close':
+            case 'toggle':
+                this.getDoorParts(action.target).forEach(part => {
+                    part.open = action.type === 'toggle' ? !part.open : action.type === 'open';
+                });
+                break;
+            case 'start':
+            case 'stop':
+                engine.obstacles
+                    .filter(obstacle => obstacle.id === action.target)
+                    .forEach(obstacle => {
+                        obstacle.active = action.type === 'start';
+                    });
+                break;
+            case 'unlock':
+            case 'lock':
+                if (engine.goal) {
+                    engine.goal.locked = action.type === 'lock';
+                }
+                break;
+        }
+        
+        engine.emit('triggerAction', { action, trigger });
+    }
+    
+    /**
+     * Muros y obstáculos que forman una puerta. Un muro del nivel son varios
+     * tramos en el motor que comparten "group"
+     * @param {string} target - Id de la puerta
+     * @returns {Array} - Tramos de muro y obstáculos
+     */
+    getDoorParts(target) {
+        return [
+            ...this.engine.walls.filter(wall => wall.group === target),
+            ...this.engine.obstacles.filter(obstacle => obstacle.id === target)
+        ];
+    }
+    
+    /**
+     * Obtiene información de debug de los disparadores
+     * @returns {Object} - Información de debug
+     */
+    getDebugInfo() {
+        return {
+            triggerCount: this.triggers.length,
+            collectedKeys: this.collectedKeys,
+            pressedPlates: this.triggers.filter(trigger => trigger.pressed).map(trigger => trigger.id),
+            scheduledActions: this.scheduled.length
+        };
+    }
+}
+
+// Exportar para Node (simulaciones sin navegador)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TriggerSystem;
+}
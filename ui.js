@@ -8,6 +8,8 @@ class UIManager {
         // Referencias a elementos DOM
         this.screens = {
             start: document.getElementById('startScreen'),
+            levelSelect: document.getElementById('levelSelectScreen'),
+            calibration: document.getElementById('calibrationScreen'),
             game: document.getElementById('gameScreen'),
             victory: document.getElementById('victoryScreen'),
             gameOver: document.getElementById('gameOverScreen')
@@ -17,26 +19,94 @@ class UIManager {
             start: document.getElementById('startButton'),
             pause: document.getElementById('pauseButton'),
             playAgain: document.getElementById('playAgainButton'),
-            restart: document.getElementById('restartButton')
+            restart: document.getElementById('restartButton'),
+            nextLevel: document.getElementById('nextLevelButton'),
+            levelSelect: document.getElementById('levelSelectButton'),
+            victoryLevels: document.getElementById('victoryLevelsButton'),
+            levelSelectBack: document.getElementById('levelSelectBackButton'),
+            calibration: document.getElementById('calibrationButton'),
+            calibrationZero: document.getElementById('calibrationZeroButton'),
+            calibrationBack: document.getElementById('calibrationBackButton')
         };
         
         this.hud = {
             timer: document.getElementById('timer'),
-            victoryTime: document.getElementById('victoryTime')
+            score: document.getElementById('score'),
+            lives: document.getElementById('lives'),
+            livesBox: document.getElementById('livesBox'),
+            splitTime: document.getElementById('splitTime'),
+            powerups: document.getElementById('powerupStatus'),
+            gameOverReason: document.getElementById('gameOverReason'),
+            levelName: document.getElementById('levelName'),
+            victoryTime: document.getElementById('victoryTime'),
+            victoryScore: document.getElementById('victoryScore'),
+            victoryBreakdown: document.getElementById('victoryBreakdown'),
+            victoryStars: document.getElementById('victoryStars')
+        };
+        
+        this.levelList = document.getElementById('levelList');
+        
+        // Pantalla de calibración: posturas, ajustes y vista previa
+        this.calibration = {
+            profiles: document.querySelectorAll('#calibrationProfiles [data-profile]'),
+            maxAngle: document.getElementById('calibrationMaxAngle'),
+            maxAngleValue: document.getElementById('calibrationMaxAngleValue'),
+            deadZone: document.getElementById('calibrationDeadZone'),
+            deadZoneValue: document.getElementById('calibrationDeadZoneValue'),
+            curve: document.getElementById('calibrationCurve'),
+            invertX: document.getElementById('calibrationInvertX'),
+            invertY: document.getElementById('calibrationInvertY'),
+            orientationLock: document.getElementById('calibrationOrientation'),
+            filterMode: document.getElementById('calibrationFilter'),
+            smoothing: document.getElementById('calibrationSmoothing'),
+            smoothingValue: document.getElementById('calibrationSmoothingValue'),
+            maxJump: document.getElementById('calibrationMaxJump'),
+            maxJumpValue: document.getElementById('calibrationMaxJumpValue'),
+            gamepadDeadZone: document.getElementById('calibrationGamepadDeadZone'),
+            gamepadDeadZoneValue: document.getElementById('calibrationGamepadDeadZoneValue'),
+            preview: document.getElementById('calibrationPreview'),
+            dot: document.getElementById('calibrationDot'),
+            readout: document.getElementById('calibrationReadout'),
+            status: document.getElementById('calibrationStatus'),
+            previewActive: false
+        };
+        
+        this.notices = {
+            ios: document.getElementById('iosNotice'),
+            permissionStatus: document.getElementById('permissionStatus')
         };
         
         // Estado actual
         this.currentScreen = 'start';
         this.isPaused = false;
         
+        // Nivel actual y niveles de la campaña
+        // levels: [{index, id, name, state, bestTime, bestScore, stars}],
+        // state: locked | unlocked | completed
+        this.level = { index: 0, name: '' };
+        this.levels = [];
+        
         // Temporizador
         this.gameTimer = {
             duration: 60, // 60 segundos
             remaining: 60,
             interval: null,
-            startTime: null
+            startTime: null,
+            frozen: false // Congelado por un potenciador
+        };
+        
+        // Iconos de los potenciadores en el HUD
+        this.powerupIcons = {
+            freeze: '❄',
+            shrink: '•',
+            shield: '⛨',
+            boost: '⚡'
         };
         
+        // Tiempo parcial visible en el HUD y cuánto dura (ms)
+        this.splitTimeout = null;
+        this.splitDuration = 2500;
+        
         // Efectos visuales
         this.particles = [];
         this.scanLines = [];
@@ -47,6 +117,16 @@ class UIManager {
         this.onGameResume = null;
         this.onGameRestart = null;
         this.onTimeUp = null;
+        this.onTimerTick = null; // Cada vez que cambia el tiempo restante
+        this.onPermissionRequest = null;
+        this.onLevelSelect = null; // Debe devolver una promesa: true si el nivel se cargó
+        this.onCalibrationOpen = null; // Devuelve {name, profile, filter, gamepadDeadZone}
+        this.onProfileSelect = null; // Recibe la postura y devuelve su perfil
+        this.onCalibrationChange = null; // Recibe los ajustes del formulario y si son los finales
+        this.onCalibrationZero = null; // Fija el reposo; devuelve el perfil o null
+        this.onCalibrationPreview = null; // Devuelve {available, beta, gamma, x, y, sampleRate}
+        this.onFilterChange = null; // Recibe los ajustes del filtro y si son los finales
+        this.onGamepadDeadZoneChange = null; // Recibe la zona muerta y si es el valor final
         
         this.initializeUI();
     }
@@ -56,10 +136,18 @@ class UIManager {
      */
     initializeUI() {
         // Eventos de botones
-        this.buttons.start?.addEventListener('click', () => this.startGame());
+        this.buttons.start?.addEventListener('click', () => this.handleStartRequest());
         this.buttons.pause?.addEventListener('click', () => this.togglePause());
         this.buttons.playAgain?.addEventListener('click', () => this.restartGame());
         this.buttons.restart?.addEventListener('click', () => this.restartGame());
+        this.buttons.nextLevel?.addEventListener('click', () => this.handleLevelSelect(this.level.index + 1));
+        this.buttons.levelSelect?.addEventListener('click', () => this.showLevelSelectScreen());
+        this.buttons.victoryLevels?.addEventListener('click', () => this.showLevelSelectScreen());
+        this.buttons.levelSelectBack?.addEventListener('click', () => this.showStartScreen());
+        this.buttons.calibration?.addEventListener('click', () => this.showCalibrationScreen());
+        this.buttons.calibrationBack?.addEventListener('click', () => this.showStartScreen());
+        this.buttons.calibrationZero?.addEventListener('click', () => this.handleCalibrationZero());
+        this.initializeCalibrationForm();
         
         // Eventos de teclado globales
         document.addEventListener('keydown', (event) => {
@@ -71,13 +159,15 @@ class UIManager {
                     event.preventDefault();
                     break;
                 case 'Escape':
-                    if (this.currentScreen === 'game') {
+                    if (['game', 'levelSelect', 'calibration'].includes(this.currentScreen)) {
                         this.showStartScreen();
                     }
                     break;
                 case 'Enter':
                     if (this.currentScreen === 'start') {
-                        this.startGame();
+                        this.handleStartRequest();
+                    } else if (this.currentScreen === 'victory' && this.hasNextLevel()) {
+                        this.handleLevelSelect(this.level.index + 1);
                     } else if (this.currentScreen === 'victory' || this.currentScreen === 'gameOver') {
                         this.restartGame();
                     }
@@ -85,34 +175,109 @@ class UIManager {
             }
         });
         
-        // Eventos de orientación para solicitar permisos en iOS
-        if (typeof DeviceOrientationEvent !== 'undefined' && 
-            typeof DeviceOrientationEvent.requestPermission === 'function') {
-            
-            this.buttons.start?.addEventListener('click', async (event) => {
-                event.preventDefault();
-                await this.requestOrientationPermission();
-            });
-        }
+        // Aviso de permisos de sensores en iOS
+        this.showPlatformNotices();
+        
+        // Evitar zoom con doble toque o pellizco en iOS
+        this.preventZoomGestures();
         
         // Inicializar con pantalla de inicio
         this.showStartScreen();
     }
     
     /**
-     * Solicita permisos de orientación para iOS
+     * Detecta dispositivos iOS (incluye iPadOS que se identifica como Mac)
+     * @returns {boolean}
      */
-    async requestOrientationPermission() {
-        try {
-            const permission = await DeviceOrientationEvent.requestPermission();
-            if (permission === 'granted') {
-                this.startGame();
-            } else {
-                this.showPermissionDeniedMessage();
+    isIOS() {
+        return /iPad|iPhone|iPod/.test(navigator.userAgent) || 
+               (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    }
+    
+    /**
+     * Muestra el aviso de permisos de movimiento en dispositivos iOS
+     */
+    showPlatformNotices() {
+        if (!this.isIOS()) return;
+        
+        this.notices.ios?.classList.remove('hidden');
+        this.setPermissionStatus('Dispositivo iOS detectado');
+    }
+    
+    /**
+     * Actualiza el texto de estado de permisos en la pantalla de inicio
+     * @param {string} text - Mensaje a mostrar
+     */
+    setPermissionStatus(text) {
+        if (this.notices.permissionStatus) {
+            this.notices.permissionStatus.textContent = text;
+        }
+    }
+    
+    /**
+     * Bloquea los gestos de zoom (pellizco y doble toque) durante el juego
+     */
+    preventZoomGestures() {
+        document.addEventListener('touchstart', (event) => {
+            if (event.touches.length > 1) {
+                event.preventDefault();
+            }
+        }, { passive: false });
+        
+        let lastTouchEnd = 0;
+        document.addEventListener('touchend', (event) => {
+            const now = Date.now();
+            if (now - lastTouchEnd <= 300) {
+                event.preventDefault();
+            }
+            lastTouchEnd = now;
+        }, false);
+    }
+    
+    /**
+     * Atiende la petición de comenzar: pide permisos de sensores si hacen
+     * falta (debe ocurrir dentro del gesto del usuario) y luego inicia el juego
+     */
+    async handleStartRequest() {
+        await this.requestPermissions();
+        this.startGame();
+    }
+    
+    /**
+     * Carga el nivel elegido y lo inicia. Los permisos se piden antes de
+     * cargar, mientras el clic del usuario todavía cuenta como gesto
+     * @param {number} index - Posición del nivel en la campaña
+     */
+    async handleLevelSelect(index) {
+        const level = this.levels[index];
+        if (!level || level.state === 'locked') return;
+        
+        await this.requestPermissions();
+        
+        if (this.onLevelSelect && !(await this.onLevelSelect(index))) return;
+        
+        this.startGame();
+    }
+    
+    /**
+     * Pide permisos de sensores si hacen falta y muestra el resultado
+     */
+    async requestPermissions() {
+        if (this.onPermissionRequest) {
+            const status = await this.onPermissionRequest();
+            
+            switch (status) {
+                case 'granted':
+                    this.setPermissionStatus('✅ Permisos concedidos');
+                    break;
+                case 'denied':
+                    this.setPermissionStatus('❌ Permisos denegados - usando controles táctiles');
+                    this.showPermissionDeniedMessage();
+                    break;
+                case 'error':
+                    this.setPermissionStatus('⚠️ Error con permisos - usando controles táctiles');
+                    break;
             }
-        } catch (error) {
-            console.error('Error solicitando permisos:', error);
-            this.startGame(); // Continuar de todos modos
         }
     }
     
@@ -124,17 +289,34 @@ class UIManager {
         message.className = 'fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-neon-pink text-white px-6 py-4 rounded-lg font-bold z-50 text-center';
         message.innerHTML = `
             <p class="mb-2">⚠️ Permisos de orientación requeridos</p>
-            <p class="text-sm opacity-80">Habilita los permisos en configuración del navegador</p>
+            <p class="text-sm opacity-80">Mientras tanto puedes jugar arrastrando el dedo</p>
         `;
         
         document.body.appendChild(message);
         
         setTimeout(() => {
             message.remove();
-            this.startGame(); // Continuar con controles de teclado
         }, 3000);
     }
     
+    /**
+     * Muestra un mensaje de error que no se cierra solo
+     * @param {string} text - Descripción del error
+     */
+    showError(text) {
+        const message = document.createElement('div');
+        message.className = 'fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-neon-pink text-white px-6 py-4 rounded-lg font-bold z-50 text-center';
+        message.innerHTML = `
+            <p class="mb-2">❌ Error</p>
+            <p class="text-sm opacity-80"></p>
+        `;
+        
+        // El texto puede venir del archivo del nivel: no interpretarlo como HTML
+        message.querySelector('.text-sm').textContent = text;
+        
+        document.body.appendChild(message);
+    }
+    
     /**
      * Muestra la pantalla de inicio
      */
@@ -144,35 +326,392 @@ class UIManager {
         this.createStartScreenEffects();
     }
     
+    /**
+     * Muestra la pantalla de selección de nivel
+     */
+    showLevelSelectScreen() {
+        this.stopTimer();
+        this.renderLevelList();
+        this.transitionToScreen('levelSelect');
+    }
+    
+    /**
+     * Conecta los controles del formulario de calibración: cada cambio se
+     * aplica (y se guarda) al momento para verlo en la vista previa
+     */
+    initializeCalibrationForm() {
+        const form = this.calibration;
+        
+        form.profiles.forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.onProfileSelect) return;
+                
+                const name = button.dataset.profile;
+                this.setCalibrationProfile(name, this.onProfileSelect(name));
+            });
+        });
+        
+        // La respuesta se ajusta mientras se arrastra y se guarda al soltar
+        [form.maxAngle, form.deadZone, form.curve, form.invertX, form.invertY, form.orientationLock].forEach(input => {
+            input?.addEventListener('input', () => this.handleCalibrationChange(false));
+            input?.addEventListener('change', () => this.handleCalibrationChange(true));
+        });
+        
+        // El filtro se ajusta mientras se arrastra y se guarda al soltar
+        [form.filterMode, form.smoothing, form.maxJump].forEach(input => {
+            input?.addEventListener('input', () => this.handleFilterChange(false));
+            input?.addEventListener('change', () => this.handleFilterChange(true));
+        });
+        
+        // La zona muerta se aplica mientras se arrastra y se guarda al soltar
+        form.gamepadDeadZone?.addEventListener('input', () => this.handleGamepadDeadZoneChange(false));
+        form.gamepadDeadZone?.addEventListener('change', () => this.handleGamepadDeadZoneChange(true));
+    }
+    
+    /**
+     * Muestra la pantalla de calibración con la postura en uso. Pide antes
+     * los permisos de sensores, porque hacen falta para la vista previa
+     */
+    async showCalibrationScreen() {
+        await this.requestPermissions();
+        
+        if (this.calibration.status) {
+            this.calibration.status.textContent = '';
+        }
+        
+        if (this.onCalibrationOpen) {
+            const { name, profile, filter, gamepadDeadZone } = this.onCalibrationOpen();
+            this.setCalibrationProfile(name, profile);
+            this.setFilterSettings(filter);
+            if (this.calibration.gamepadDeadZone) {
+                this.calibration.gamepadDeadZone.value = gamepadDeadZone;
+                this.updateCalibrationLabels();
+            }
+        }
+        
+        await this.transitionToScreen('calibration');
+        this.startCalibrationPreview();
+    }
+    
+    /**
+     * Rellena el formulario con un perfil y marca su postura
+     * @param {string} name - Postura (sitting, standing, lying)
+     * @param {Object} profile - {maxAngle, deadZone, curve, invertX, invertY, ...}
+     */
+    setCalibrationProfile(name, profile) {
+        const form = this.calibration;
+        
+        form.profiles.forEach(button => {
+            const active = button.dataset.profile === name;
+            button.classList.toggle('calibration-profile-active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        
+        if (!profile) return;
+        
+        if (form.maxAngle) form.maxAngle.value = profile.maxAngle;
+        if (form.deadZone) form.deadZone.value = profile.deadZone;
+        if (form.curve) form.curve.value = profile.curve;
+        if (form.invertX) form.invertX.checked = profile.invertX;
+        if (form.invertY) form.invertY.checked = profile.invertY;
+        if (form.orientationLock) form.orientationLock.value = profile.orientationLock;
+        this.updateCalibrationLabels();
+    }
+    
+    /**
+     * Rellena la parte del formulario del filtro de sensores
+     * @param {Object} settings - {mode, smoothing, maxJump, ...}
+     */
+    setFilterSettings(settings) {
+        const form = this.calibration;
+        if (!settings) return;
+        
+        if (form.filterMode) form.filterMode.value = settings.mode;
+        if (form.smoothing) form.smoothing.value = settings.smoothing;
+        if (form.maxJump) form.maxJump.value = settings.maxJump;
+        this.updateCalibrationLabels();
+    }
+    
+    /**
+     * Envía los ajustes del filtro de sensores
+     * @param {boolean} final - true al soltar el control (hay que guardarlos)
+     */
+    handleFilterChange(final) {
+        const form = this.calibration;
+        this.updateCalibrationLabels();
+        
+        if (this.onFilterChange) {
+            this.onFilterChange({
+                mode: form.filterMode?.value,
+                smoothing: Number(form.smoothing?.value),
+                maxJump: Number(form.maxJump?.value)
+            }, final);
+        }
+    }
+    
+    /**
+     * Envía la zona muerta del mando
+     * @param {boolean} final - true al soltar el deslizador (hay que guardarla)
+     */
+    handleGamepadDeadZoneChange(final) {
+        this.updateCalibrationLabels();
+        
+        if (this.onGamepadDeadZoneChange) {
+            this.onGamepadDeadZoneChange(Number(this.calibration.gamepadDeadZone?.value), final);
+        }
+    }
+    
+    /**
+     * Envía los ajustes del formulario
+     * @param {boolean} final - true al soltar el control (hay que guardarlos)
+     */
+    handleCalibrationChange(final) {
+        const form = this.calibration;
+        this.updateCalibrationLabels();
+        
+        if (this.onCalibrationChange) {
+            this.onCalibrationChange({
+                maxAngle: Number(form.maxAngle?.value),
+                deadZone: Number(form.deadZone?.value),
+                curve: form.curve?.value,
+                invertX: Boolean(form.invertX?.checked),
+                invertY: Boolean(form.invertY?.checked),
+                orientationLock: form.orientationLock?.value
+            }, final);
+        }
+    }
+    
+    /**
+     * Fija la posición actual como reposo de la postura en uso
+     */
+    handleCalibrationZero() {
+        const profile = this.onCalibrationZero ? this.onCalibrationZero() : null;
+        
+        if (this.calibration.status) {
+            this.calibration.status.textContent = profile ?
+                '✅ Reposo fijado para esta postura' :
+                '⚠️ Sin sensores de movimiento: no hay nada que fijar';
+        }
+    }
+    
+    /**
+     * Muestra junto a cada deslizador su valor
+     */
+    updateCalibrationLabels() {
+        const form = this.calibration;
+        
+        if (form.maxAngleValue && form.maxAngle) {
+            form.maxAngleValue.textContent = `${form.maxAngle.value}°`;
+        }
+        if (form.deadZoneValue && form.deadZone) {
+            form.deadZoneValue.textContent = `${Math.round(form.deadZone.value * 100)}%`;
+        }
+        if (form.smoothingValue && form.smoothing) {
+            form.smoothingValue.textContent = `${Math.round(form.smoothing.value * 100)}%`;
+        }
+        if (form.maxJumpValue && form.maxJump) {
+            form.maxJumpValue.textContent = `${form.maxJump.value}°`;
+        }
+        if (form.gamepadDeadZoneValue && form.gamepadDeadZone) {
+            form.gamepadDeadZoneValue.textContent = `${Math.round(form.gamepadDeadZone.value * 100)}%`;
+        }
+    }
+    
+    /**
+     * Mueve el punto de la vista previa con la inclinación mientras la
+     * pantalla de calibración esté visible
+     */
+    startCalibrationPreview() {
+        const form = this.calibration;
+        if (form.previewActive) return;
+        form.previewActive = true;
+        
+        const update = () => {
+            if (this.currentScreen !== 'calibration') {
+                form.previewActive = false;
+                return;
+            }
+            
+            const reading = this.onCalibrationPreview ? this.onCalibrationPreview() : null;
+            
+            if (reading && reading.available) {
+                if (form.dot) {
+                    form.dot.style.left = `${50 + reading.x * 50}%`;
+                    form.dot.style.top = `${50 + reading.y * 50}%`;
+                }
+                if (form.readout) {
+                    form.readout.textContent = `β ${reading.beta.toFixed(1)}° · γ ${reading.gamma.toFixed(1)}° · ${reading.sampleRate} Hz`;
+                }
+            } else if (form.readout) {
+                form.readout.textContent = 'Esperando los sensores de movimiento...';
+            }
+            
+            requestAnimationFrame(update);
+        };
+        
+        update();
+    }
+    
+    /**
+     * Actualiza los niveles de la campaña y su estado
+     * @param {Array} levels - [{index, id, name, state, bestTime, bestScore, stars}]
+     */
+    setLevels(levels) {
+        this.levels = levels;
+        this.renderLevelList();
+    }
+    
+    /**
+     * Indica qué nivel se está jugando
+     * @param {number} index - Posición en la campaña
+     * @param {string} name - Nombre del nivel
+     */
+    setCurrentLevel(index, name) {
+        this.level = { index, name };
+        
+        if (this.hud.levelName) {
+            this.hud.levelName.textContent = `${index + 1}. ${name}`;
+        }
+    }
+    
+    /**
+     * @returns {boolean} - true si hay un nivel desbloqueado después del actual
+     */
+    hasNextLevel() {
+        const next = this.levels[this.level.index + 1];
+        return Boolean(next) && next.state !== 'locked';
+    }
+    
+    /**
+     * Dibuja los botones de la pantalla de selección de nivel
+     */
+    renderLevelList() {
+        if (!this.levelList) return;
+        
+        this.levelList.innerHTML = '';
+        
+        this.levels.forEach(level => {
+            const button = document.createElement('button');
+            const locked = level.state === 'locked';
+            
+            button.className = 'flex flex-col items-center justify-center p-4 rounded-lg border-2 font-bold transition-all duration-300';
+            button.classList.add(...(level.state === 'completed' ?
+                ['border-neon-cyan', 'text-neon-cyan', 'shadow-neon-cyan'] :
+                ['border-neon-purple', 'text-white']));
+            if (locked) {
+                button.classList.add('opacity-40', 'cursor-not-allowed');
+            } else {
+                button.classList.add('hover:scale-105');
+            }
+            button.disabled = locked;
+            button.dataset.state = level.state;
+            
+            const number = document.createElement('span');
+            number.className = 'text-2xl';
+            number.textContent = locked ? '🔒' : level.index + 1;
+            
+            const name = document.createElement('span');
+            name.className = 'text-xs mt-1 opacity-80';
+            name.textContent = level.name;
+            
+            const detail = document.createElement('span');
+            detail.className = 'text-xs mt-1';
+            detail.textContent = level.state === 'completed' ? `✓ ${this.formatTime(level.bestTime)}` : '';
+            
+            const stars = document.createElement('span');
+            stars.className = 'text-sm mt-1 text-yellow';
+            stars.textContent = level.stars ? this.formatStars(level.stars) : '';
+            
+            button.append(number, name, detail, stars);
+            button.addEventListener('click', () => this.handleLevelSelect(level.index));
+            
+            this.levelList.appendChild(button);
+        });
+    }
+    
+    /**
+     * Formatea segundos como m:ss
+     * @param {number} time - Tiempo en segundos
+     * @returns {string}
+     */
+    formatTime(time) {
+        const minutes = Math.floor(time / 60);
+        const seconds = Math.floor(time % 60);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Dibuja una valoración de 1 a 3 estrellas
+     * @param {number} stars - Estrellas conseguidas
+     * @returns {string} - Por ejemplo "★★☆"
+     */
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+    
     /**
      * Muestra la pantalla de juego
+     * @returns {Promise} - Se resuelve cuando la pantalla ya es visible
      */
     showGameScreen() {
-        this.transitionToScreen('game');
+        const shown = this.transitionToScreen('game');
         this.createGameScreenEffects();
+        return shown;
     }
     
     /**
      * Muestra la pantalla de victoria
      * @param {number} completionTime - Tiempo que tomó completar el juego
+     * @param {Object} score - Puntuación final (ver ScoreKeeper.compute), opcional
      */
-    showVictoryScreen(completionTime) {
+    showVictoryScreen(completionTime, score = null) {
         this.transitionToScreen('victory');
         
         // Actualizar tiempo de victoria
         if (this.hud.victoryTime) {
-            const minutes = Math.floor(completionTime / 60);
-            const seconds = Math.floor(completionTime % 60);
-            this.hud.victoryTime.textContent = `Tiempo: ${minutes}:${seconds.toString().padStart(2, '0')}`;
+            this.hud.victoryTime.textContent = `Tiempo: ${this.formatTime(completionTime)}`;
         }
         
+        // Puntuación con su desglose y estrellas
+        if (this.hud.victoryScore) {
+            this.hud.victoryScore.textContent = score ? `${score.total} puntos` : '';
+        }
+        if (this.hud.victoryStars) {
+            this.hud.victoryStars.textContent = score ? this.formatStars(score.stars) : '';
+        }
+        if (this.hud.victoryBreakdown) {
+            this.hud.victoryBreakdown.innerHTML = '';
+            
+            if (score) {
+                [
+                    `Tiempo restante: +${score.time}`,
+                    `Coleccionables (${score.collectedCount}): +${score.collectibles}`,
+                    `Golpes (${score.hits}): -${score.hitPenalty}`
+                ].forEach(text => {
+                    const line = document.createElement('li');
+                    line.textContent = text;
+                    this.hud.victoryBreakdown.appendChild(line);
+                });
+            }
+        }
+        
+        // Ofrecer el siguiente nivel si la campaña continúa
+        this.buttons.nextLevel?.classList.toggle('hidden', !this.hasNextLevel());
+        
         this.createVictoryEffects();
     }
     
     /**
      * Muestra la pantalla de game over
+     * @param {string} reason - Motivo: time (tiempo agotado) o lives (sin vidas)
      */
-    showGameOverScreen() {
+    showGameOverScreen(reason = 'time') {
+        if (this.hud.gameOverReason) {
+            this.hud.gameOverReason.textContent = reason === 'lives' ?
+                '¡Sin vidas!' :
+                '¡Se acabó el tiempo!';
+        }
+        
         this.transitionToScreen('gameOver');
         this.createGameOverEffects();
     }
@@ -180,40 +719,54 @@ class UIManager {
     /**
      * Realiza transición entre pantallas
      * @param {string} screenName - Nombre de la pantalla de destino
+     * @returns {Promise} - Se resuelve cuando la nueva pantalla es visible
      */
     transitionToScreen(screenName) {
+        const previousScreen = this.screens[this.currentScreen];
+        
         // Ocultar pantalla actual
-        if (this.screens[this.currentScreen]) {
-            this.screens[this.currentScreen].classList.add('fade-out');
+        if (previousScreen && this.currentScreen !== screenName) {
+            previousScreen.classList.add('fade-out');
             
             setTimeout(() => {
-                this.screens[this.currentScreen].classList.add('hidden');
-                this.screens[this.currentScreen].classList.remove('fade-out');
+                previousScreen.classList.add('hidden');
+                previousScreen.classList.remove('fade-out');
             }, 500);
         }
         
         // Mostrar nueva pantalla
-        setTimeout(() => {
-            if (this.screens[screenName]) {
-                this.screens[screenName].classList.remove('hidden');
-                this.screens[screenName].classList.add('fade-in');
+        return new Promise(resolve => {
+            setTimeout(() => {
+                if (this.screens[screenName]) {
+                    this.screens[screenName].classList.remove('hidden');
+                    this.screens[screenName].classList.add('fade-in');
+                    
+                    setTimeout(() => {
+                        this.screens[screenName].classList.remove('fade-in');
+                    }, 500);
+                }
                 
-                setTimeout(() => {
-                    this.screens[screenName].classList.remove('fade-in');
-                }, 500);
-            }
-            
-            this.currentScreen = screenName;
-        }, 250);
+                this.currentScreen = screenName;
+                resolve();
+            }, 250);
+        });
     }
     
     /**
-     * Inicia el juego
+     * Inicia el juego una vez que la pantalla de juego es visible, para que
+     * el tablero ya tenga dimensiones reales al arrancar las físicas
      */
-    startGame() {
-        this.showGameScreen();
-        this.startTimer();
+    async startGame() {
+        this.stopTimer();
         this.isPaused = false;
+        this.hidePauseOverlay();
+        this.hideSplit();
+        if (this.buttons.pause) {
+            this.buttons.pause.textContent = 'PAUSA';
+        }
+        
+        await this.showGameScreen();
+        this.startTimer();
         
         if (this.onGameStart) {
             this.onGameStart();
@@ -251,11 +804,12 @@ class UIManager {
     restartGame() {
         this.gameTimer.remaining = this.gameTimer.duration;
         this.updateTimerDisplay();
-        this.startGame();
         
         if (this.onGameRestart) {
             this.onGameRestart();
         }
+        
+        this.startGame();
     }
     
     /**
@@ -266,10 +820,14 @@ class UIManager {
         this.gameTimer.remaining = this.gameTimer.duration;
         
         this.gameTimer.interval = setInterval(() => {
-            if (!this.isPaused) {
+            if (!this.isPaused && !this.gameTimer.frozen) {
                 this.gameTimer.remaining--;
                 this.updateTimerDisplay();
                 
+                if (this.onTimerTick) {
+                    this.onTimerTick();
+                }
+                
                 // Efectos visuales cuando queda poco tiempo
                 if (this.gameTimer.remaining <= 10) {
                     this.addUrgencyEffects();
@@ -327,9 +885,132 @@ class UIManager {
             } else {
                 this.hud.timer.className = 'text-2xl font-bold text-neon-cyan';
             }
+            
+            this.hud.timer.classList.toggle('timer-frozen', this.gameTimer.frozen);
+        }
+    }
+    
+    /**
+     * Cambia la duración de la partida (tiempo límite del nivel)
+     * @param {number} seconds - Segundos disponibles
+     */
+    setTimeLimit(seconds) {
+        this.gameTimer.duration = seconds;
+        this.gameTimer.remaining = seconds;
+        this.updateTimerDisplay();
+    }
+    
+    /**
+     * Congela o descongela el temporizador (potenciador de tiempo)
+     * @param {boolean} frozen - true para detener la cuenta atrás
+     */
+    setTimerFrozen(frozen) {
+        this.gameTimer.frozen = frozen;
+        this.updateTimerDisplay();
+    }
+    
+    /**
+     * Resta segundos al tiempo restante como castigo; si se agota, termina la partida
+     * @param {number} seconds - Segundos a restar
+     */
+    applyTimePenalty(seconds) {
+        this.gameTimer.remaining = Math.max(0, this.gameTimer.remaining - seconds);
+        this.updateTimerDisplay();
+        
+        if (this.onTimerTick) {
+            this.onTimerTick();
+        }
+        
+        if (this.gameTimer.remaining <= 0 && this.gameTimer.interval) {
+            this.stopTimer();
+            this.showGameOverScreen();
+            
+            if (this.onTimeUp) {
+                this.onTimeUp();
+            }
         }
     }
     
+    /**
+     * Muestra las vidas que quedan en el HUD
+     * @param {number} lives - Vidas restantes
+     * @param {boolean} visible - false si el nivel no quita vidas
+     */
+    setLives(lives, visible = true) {
+        this.hud.livesBox?.classList.toggle('hidden', !visible);
+        
+        if (this.hud.lives) {
+            this.hud.lives.textContent = '♥'.repeat(lives);
+        }
+    }
+    
+    /**
+     * Muestra los potenciadores activos con los segundos que les quedan
+     * @param {Array} powerups - [{type, remaining}]
+     */
+    setPowerUps(powerups) {
+        if (!this.hud.powerups) return;
+        
+        const text = powerups
+            .map(powerup => `${this.powerupIcons[powerup.type] || '?'}${Math.ceil(powerup.remaining)}`)
+            .join(' ');
+        
+        // Se llama en cada fotograma: tocar el DOM solo si cambia
+        if (this.hud.powerups.textContent !== text) {
+            this.hud.powerups.textContent = text;
+        }
+    }
+    
+    /**
+     * Muestra unos segundos el tiempo parcial de un punto de control y la
+     * diferencia con el de la mejor partida
+     * @param {number} index - Posición del punto de control (desde 0)
+     * @param {number} time - Segundos desde la salida
+     * @param {number|null} bestTime - Parcial de la mejor partida, si lo hay
+     */
+    showSplit(index, time, bestTime = null) {
+        if (!this.hud.splitTime) return;
+        
+        let text = `⚑${index + 1} ${time}s`;
+        if (bestTime !== null) {
+            const difference = time - bestTime;
+            text += difference === 0 ? ' (=)' : ` (${difference > 0 ? '+' : '−'}${Math.abs(difference)})`;
+        }
+        
+        this.hud.splitTime.textContent = text;
+        this.hud.splitTime.classList.remove('hidden');
+        
+        clearTimeout(this.splitTimeout);
+        this.splitTimeout = setTimeout(() => this.hideSplit(), this.splitDuration);
+    }
+    
+    /**
+     * Oculta el tiempo parcial del HUD
+     */
+    hideSplit() {
+        clearTimeout(this.splitTimeout);
+        this.splitTimeout = null;
+        this.hud.splitTime?.classList.add('hidden');
+    }
+    
+    /**
+     * Muestra la puntuación en el HUD
+     * @param {Object} score - Puntuación (ver ScoreKeeper.compute)
+     */
+    setScore(score) {
+        if (this.hud.score) {
+            this.hud.score.textContent = score.total;
+        }
+    }
+    
+    /**
+     * Obtiene el tiempo que queda
+     * @returns {number} - Tiempo en segundos
+     */
+    getRemainingTime() {
+        return this.gameTimer.remaining;
+    }
+    
     /**
      * Obtiene el tiempo transcurrido desde el inicio
      * @returns {number} - Tiempo en segundos
@@ -340,11 +1021,20 @@ class UIManager {
     
     /**
      * Maneja la victoria del jugador
+     * @param {Object} score - Puntuación final (ver ScoreKeeper.compute), opcional
      */
-    handleVictory() {
+    handleVictory(score = null) {
         this.stopTimer();
         const completionTime = this.getElapsedTime();
-        this.showVictoryScreen(completionTime);
+        this.showVictoryScreen(completionTime, score);
+    }
+    
+    /**
+     * Maneja la derrota por quedarse sin vidas
+     */
+    handleOutOfLives() {
+        this.stopTimer();
+        this.showGameOverScreen('lives');
     }
     
     /**